@@ -0,0 +1,126 @@
+/**
+ * Example: Base (EVM) payment against a local mock server
+ *
+ * Runs entirely offline. A local HTTP server plays both the Bridge402
+ * /diffbot endpoint and the facilitator: it issues a 402 invoice for USDC on
+ * Base, then verifies the EIP-3009 transferWithAuthorization signature in the
+ * X-PAYMENT header before returning the extraction.
+ *
+ * Usage:
+ *   node examples/base-payment-mock.js
+ *
+ * Environment variables:
+ *   EVM_PRIVATE_KEY - Hex private key (optional, defaults to a well-known test key)
+ */
+
+import http from 'http';
+import { verifyTypedData } from 'viem';
+import { DiffbotClient, ReceiptLedger } from '../src/index.js';
+import { buildTransferAuthorization, EVM_NETWORKS } from '../src/utils/evm-payment.js';
+
+// Hardhat/Anvil account #0 - never fund this key
+const TEST_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const PAY_TO = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+const requirement = {
+  scheme: 'exact',
+  network: 'base',
+  maxAmountRequired: '10000', // 0.01 USDC
+  payTo: PAY_TO,
+  asset: EVM_NETWORKS.base.usdc,
+  maxTimeoutSeconds: 60,
+  extra: { name: 'USD Coin', version: '2' }
+};
+
+// Mock facilitator: check the authorization the way /verify would
+async function verifyPayment(x402) {
+  const { signature, authorization } = x402.payload;
+  const { typedData } = buildTransferAuthorization({
+    from: authorization.from,
+    to: authorization.to,
+    value: authorization.value,
+    network: x402.network,
+    asset: requirement.asset,
+    name: requirement.extra.name,
+    version: requirement.extra.version,
+  });
+  typedData.message = {
+    ...authorization,
+    value: BigInt(authorization.value),
+    validAfter: BigInt(authorization.validAfter),
+    validBefore: BigInt(authorization.validBefore)
+  };
+
+  const now = Math.floor(Date.now() / 1000);
+  if (authorization.to.toLowerCase() !== PAY_TO.toLowerCase()) return 'wrong recipient';
+  if (BigInt(authorization.value) < BigInt(requirement.maxAmountRequired)) return 'amount too low';
+  if (Number(authorization.validBefore) < now) return 'authorization expired';
+
+  const valid = await verifyTypedData({ address: authorization.from, signature, ...typedData });
+  return valid ? null : 'invalid signature';
+}
+
+function startMockServer() {
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+
+    const header = req.headers['x-payment'];
+    if (!header) {
+      return send(402, { x402Version: 1, accepts: [requirement] });
+    }
+
+    const x402 = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    const error = await verifyPayment(x402);
+    if (error) {
+      return send(402, { error });
+    }
+
+    // Settlement details, as a real facilitator would report them
+    const settlement = {
+      success: true,
+      transaction: `0x${'ab'.repeat(32)}`,
+      network: x402.network,
+      payer: x402.payload.authorization.from
+    };
+
+    send(200, {
+      extractionType: 'article',
+      data: { objects: [{ title: 'Mock article' }] },
+      payment: { network: x402.network, from: x402.payload.authorization.from }
+    }, { 'X-PAYMENT-RESPONSE': Buffer.from(JSON.stringify(settlement)).toString('base64') });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+(async () => {
+  const server = await startMockServer();
+  const { port } = server.address();
+
+  try {
+    const receipts = new ReceiptLedger();
+    const client = new DiffbotClient({
+      baseUrl: `http://127.0.0.1:${port}`,
+      network: 'base',
+      evmWallet: process.env.EVM_PRIVATE_KEY || TEST_PRIVATE_KEY,
+      receipts,
+      balanceCheck: false // The test key holds no USDC, and offline there is no RPC to ask
+    });
+
+    console.log(`🔑 EVM wallet: ${client.evmWallet.address}\n`);
+
+    const result = await client.extractArticle('https://example.com/article');
+    console.log('\n📄 Result:', JSON.stringify(result, null, 2));
+    console.log('\n🧾 Receipts CSV:\n' + await receipts.exportCsv());
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+})();
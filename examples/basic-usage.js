@@ -36,8 +36,8 @@ function loadWallet() {
     // Handle messages
     client.on('message', (msg) => {
       // Determine message type
-      const isTwitter = 'body' in msg;
-      const isArticle = 'source' in msg;
+      const isTwitter = msg.type === 'twitter';
+      const isArticle = msg.type === 'article';
       
       if (isTwitter) {
         console.log(`🐦 Twitter: ${msg.title}`);
@@ -0,0 +1,63 @@
+/**
+ * Example: Signing payments in a separate signer process
+ *
+ * Starts the reference signer on a Unix socket, connects a RemoteSigner to it
+ * and signs a transaction without the secret key ever entering this process's
+ * payment code. Pass the RemoteSigner as `wallet` to either client.
+ *
+ * Usage:
+ *   node examples/remote-signer.js
+ *
+ * Environment variables:
+ *   KEYPAIR_PATH - Path to Solana keypair JSON file (optional, a throwaway key is generated otherwise)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair, SystemProgram, TransactionMessage, VersionedTransaction } from '@solana/web3.js';
+import { Bridge402Client, RemoteSigner, createSignerServer } from '../src/index.js';
+
+function loadKeypair() {
+  const keypairPath = process.env.KEYPAIR_PATH;
+  if (keypairPath) {
+    return Keypair.fromSecretKey(Uint8Array.from(JSON.parse(fs.readFileSync(keypairPath, 'utf8'))));
+  }
+  return Keypair.generate();
+}
+
+(async () => {
+  const socketPath = path.join(os.tmpdir(), `bridge402-signer-${process.pid}.sock`);
+
+  // In production this runs in its own process (or is a KMS / HSM service)
+  const server = createSignerServer(loadKeypair());
+  await new Promise(resolve => server.listen(socketPath, resolve));
+
+  const signer = await RemoteSigner.connect({ socketPath });
+
+  try {
+    console.log(`🔑 Remote signer: ${signer.publicKey.toBase58()}\n`);
+
+    // Sign a dummy transaction to show the round trip (never sent)
+    const message = new TransactionMessage({
+      payerKey: signer.publicKey,
+      recentBlockhash: '11111111111111111111111111111111',
+      instructions: [
+        SystemProgram.transfer({ fromPubkey: signer.publicKey, toPubkey: signer.publicKey, lamports: 1 })
+      ],
+    }).compileToV0Message();
+
+    const signed = await signer.signTransaction(new VersionedTransaction(message));
+    console.log(`✍️  Signed remotely: ${Buffer.from(signed.signatures[0]).toString('hex').slice(0, 32)}...`);
+
+    // Used exactly like a Keypair
+    const client = new Bridge402Client({ wallet: signer, duration: 5 });
+    console.log(`✅ Client ready with remote signer (${client.paymentManager.signer.publicKey.toBase58()})`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await signer.close();
+    server.close();
+  }
+})();
@@ -70,8 +70,8 @@ function loadWallet() {
 
     client.on('message', (msg) => {
       // Determine message type
-      const isTwitter = 'body' in msg;
-      const isArticle = 'source' in msg;
+      const isTwitter = msg.type === 'twitter';
+      const isArticle = msg.type === 'article';
       
       if (isTwitter) {
         // Twitter/X post
@@ -79,8 +79,8 @@ function loadWallet() {
         console.log(`   User: ${msg.title || 'Unknown'}`);
         console.log(`   Coin: ${msg.coin || 'N/A'}`);
         console.log(`   Content: ${msg.body?.substring(0, 150) || 'No content'}...`);
-        if (msg.link) {
-          console.log(`   Link: ${msg.link}`);
+        if (msg.url) {
+          console.log(`   Link: ${msg.url}`);
         }
         if (msg.actions && msg.actions.length > 0) {
           console.log(`   Trading Actions: ${msg.actions.length} available`);
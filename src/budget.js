@@ -0,0 +1,141 @@
+/**
+ * Spending limits for automated payments
+ */
+
+import { randomUUID } from 'crypto';
+import { MemoryStore } from './stores/memory.js';
+import { BudgetExceededError } from './errors.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Enforces per-payment, hourly, daily and lifetime caps on payments.
+ *
+ * All amounts are in the asset's atomic units (USDC has 6 decimals, so
+ * 50_000n is 0.05 USDC). Hourly and daily caps are rolling windows. State is
+ * kept in a store (see ./stores) so limits survive restarts.
+ */
+export class SpendingBudget {
+  constructor({ maxPerPayment, maxPerHour, maxPerDay, maxTotal, store } = {}) {
+    this.limits = {
+      maxPerPayment: toAmount(maxPerPayment),
+      maxPerHour: toAmount(maxPerHour),
+      maxPerDay: toAmount(maxPerDay),
+      maxTotal: toAmount(maxTotal)
+    };
+    this.store = store || new MemoryStore();
+    this.state = null;
+    this.reservations = new Map();
+  }
+
+  /**
+   * Reserve an amount before signing a payment.
+   * Throws BudgetExceededError if any limit would be exceeded.
+   * @returns {Promise<string>} Reservation id for commit() / release()
+   */
+  async reserve(amount, details = {}) {
+    const value = toAmount(amount);
+    const usage = await this.getUsage();
+    const pending = [...this.reservations.values()].reduce((sum, r) => sum + r.amount, 0n);
+
+    const checks = [
+      ['maxPerPayment', value],
+      ['maxPerHour', usage.hour + pending + value],
+      ['maxPerDay', usage.day + pending + value],
+      ['maxTotal', usage.total + pending + value]
+    ];
+    for (const [limit, projected] of checks) {
+      const cap = this.limits[limit];
+      if (cap !== null && projected > cap) {
+        throw new BudgetExceededError({ limit, cap, amount: value, projected, ...details });
+      }
+    }
+
+    const id = randomUUID();
+    this.reservations.set(id, { amount: value });
+    return id;
+  }
+
+  /**
+   * Record a reserved amount as spent once the payment was accepted
+   */
+  async commit(id) {
+    const reservation = this.reservations.get(id);
+    if (!reservation) {
+      return;
+    }
+    this.reservations.delete(id);
+    await this.record(reservation.amount);
+  }
+
+  /**
+   * Drop a reservation for a payment that did not go through
+   */
+  release(id) {
+    this.reservations.delete(id);
+  }
+
+  /**
+   * Record a spent amount directly
+   */
+  async record(amount, at = Date.now()) {
+    const state = await this._load();
+    const value = toAmount(amount);
+    state.total = (BigInt(state.total) + value).toString();
+    state.payments.push({ at, amount: value.toString() });
+    state.payments = state.payments.filter(p => p.at > at - DAY_MS);
+    await this.store.save(state);
+  }
+
+  /**
+   * Amounts spent in the last hour, last day and in total
+   */
+  async getUsage(now = Date.now()) {
+    const state = await this._load();
+    const sumSince = (since) => state.payments
+      .filter(p => p.at > since)
+      .reduce((sum, p) => sum + BigInt(p.amount), 0n);
+
+    return {
+      hour: sumSince(now - HOUR_MS),
+      day: sumSince(now - DAY_MS),
+      total: BigInt(state.total)
+    };
+  }
+
+  /**
+   * Clear recorded spending (limits are kept)
+   */
+  async reset() {
+    this.state = { total: '0', payments: [] };
+    await this.store.save(this.state);
+  }
+
+  /**
+   * @private
+   */
+  async _load() {
+    if (!this.state) {
+      this.state = (await this.store.load()) || { total: '0', payments: [] };
+    }
+    return this.state;
+  }
+}
+
+/**
+ * Accept a SpendingBudget instance or a plain limits object
+ */
+export function resolveBudget(budget) {
+  if (!budget) {
+    return null;
+  }
+  return budget instanceof SpendingBudget ? budget : new SpendingBudget(budget);
+}
+
+function toAmount(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return BigInt(value);
+}
@@ -4,10 +4,28 @@
 
 import { PaymentManager } from './payment.js';
 import { WebSocketManager } from './websocket.js';
-import { httpPost } from './utils/http.js';
+import { parseExpiry } from './utils/time.js';
+import { resolveDeduplicator } from './dedup.js';
+import { BudgetExceededError, FacilitatorUnavailableError, SessionExpiredError } from './errors.js';
+import { parseMessage, SystemMessage } from './messages.js';
+import { createFilter } from './filters.js';
+import { resolveDestinations, toDestination, assertUniqueName, DeliveryQueue, DigestBuffer } from './destinations/index.js';
+import { MessageSubscription, toReadable, toReadableStream } from './stream.js';
+import { TypedEmitter } from './events.js';
+import { tokenId } from './receipts/index.js';
 
-export class Bridge402Client {
+const CLIENT_EVENTS = [
+  'started', 'stopped', 'connected', 'closed',
+  'message', 'invalidMessage', 'filtered', 'duplicate',
+  'sessionRenewed', 'sessionRenewalFailed', 'sessionExpiring', 'sessionExtended', 'sessionExpired',
+  'reconnecting', 'reconnected', 'reconnectFailed', 'budgetExceeded', 'lowBalance',
+  'webhookSuccess', 'webhookError', 'webhookDeadLetter'
+];
+
+export class Bridge402Client extends TypedEmitter {
   constructor(options = {}) {
+    // Logger: pino/winston-style instance, console level, or false (see ./logger.js)
+    super(CLIENT_EVENTS, { logger: options.logger });
     this.baseUrl = options.baseUrl || 'https://bridge402.tech';
     this.solanaRpc = options.solanaRpc || 'https://api.mainnet-beta.solana.com';
     this.wallet = options.wallet;
@@ -15,25 +33,70 @@ export class Bridge402Client {
     this.duration = options.duration || 5; // minutes
     this.retryAttempts = options.retryAttempts || 3;
     
-    // Webhook configuration
+    // Session persistence: any store with load()/save()/clear() (see ./stores)
+    this.sessionStore = options.sessionStore || null;
+    this.resumeMinRemaining = options.resumeMinRemaining ?? 30_000; // ms left to bother resuming
+    this.connectTimeout = options.connectTimeout || 15_000;
+    this.renewLeadTime = options.renewLeadTime ?? 60_000; // ms before expiry to renew
+    this.reconnect = options.reconnect; // WebSocketManager backoff options, or false
+    this.swapTimeout = options.swapTimeout; // ms to wait for the renewed connection
+    
+    // Drop news items already delivered (reconnects, token swaps, restarts)
+    this.dedup = resolveDeduplicator(options.dedup, { logger: this.logger });
+    
+    // Only emit/forward news matching this filter (see ./filters.js)
+    this.filter = createFilter(options.filter);
+    
+    // Delivery destinations: `webhooks` list plus the legacy `webhook` + `formatter`
     this.webhook = options.webhook;
     this.formatter = options.formatter;
+    this.destinations = resolveDestinations(options);
+    this.digests = new Map(); // Destination name -> DigestBuffer
+    
+    // Retries, rate limits and dead letters for deliveries (see ./destinations/queue.js)
+    this.deliveryQueue = new DeliveryQueue({
+      logger: this.logger,
+      ...options.delivery,
+      resolveDestination: (name) => this.getDestination(name),
+      onDelivered: (entry, message, result) => this.handleDelivered(entry, message, result),
+      onFailed: (entry, message, error, willRetry) => this.handleDeliveryFailed(entry, message, error, willRetry),
+      onDeadLetter: (entry, message, error) => {
+        this.emit('webhookDeadLetter', { destination: entry.destination, message, error, entry });
+      }
+    });
     
     // Internal state
     this.paymentManager = null;
     this.wsManager = null;
     this.currentToken = null;
+    this.expiresAt = null;
     this.isRunning = false;
-    this.eventHandlers = {};
+    this.streamWaiter = null;
+    this.renewalTimer = null;
+    this.renewalPromise = null;
+    this.expiryRecovery = null;
     
     // Initialize payment manager
     if (this.wallet) {
       this.paymentManager = new PaymentManager({
         baseUrl: this.baseUrl,
         solanaRpc: this.solanaRpc,
+        network: options.network,
         wallet: this.wallet,
+        evmWallet: options.evmWallet,
+        evmRpc: options.evmRpc,
         solUsdcMint: options.solUsdcMint,
-        facilitatorUrl: options.facilitatorUrl
+        facilitatorUrl: options.facilitatorUrl,
+        schemes: options.schemes,
+        paymentPolicy: options.paymentPolicy,
+        budget: options.budget,
+        invoiceValidation: options.invoiceValidation,
+        receipts: options.receipts,
+        logger: this.logger,
+        balanceCheck: options.balanceCheck,
+        balanceTimeout: options.balanceTimeout,
+        lowBalance: options.lowBalance,
+        onLowBalance: (balance) => this.emit('lowBalance', balance)
       });
     }
   }
@@ -43,7 +106,7 @@ export class Bridge402Client {
    */
   async start() {
     if (this.isRunning) {
-      console.warn('⚠️  Client is already running');
+      this.logger.warn('Client is already running');
       return;
     }
 
@@ -52,149 +115,509 @@ export class Bridge402Client {
     }
 
     try {
-      // Get invoice and pay
-      console.log('📋 Getting invoice...');
-      const invoice = await this.paymentManager.getInvoice(this.duration);
-      console.log('💰 Paying invoice...');
-      const session = await this.paymentManager.payInvoice(invoice);
-      
-      this.currentToken = session.access_token;
-      console.log(`✅ Session created. Expires at: ${session.expires_at}`);
+      await this.loadDedupWindow();
+      await this.loadDeliveryQueue();
+
+      if (await this.resumeSession()) {
+        return;
+      }
+
+      const session = await this.buySession();
+      this.logger.info('Session created', { sessionId: this.sessionId, expiresAt: session.expires_at });
       
       // Connect WebSocket
-      this.wsManager = new WebSocketManager({
-        baseUrl: this.baseUrl,
-        accessToken: this.currentToken,
-        onMessage: (msg) => this.handleMessage(msg),
-        onError: (err) => this.handleError(err),
-        onClose: (code, reason) => this.handleClose(code, reason)
-      });
-      
-      this.wsManager.connect();
+      this.connectStream();
       this.isRunning = true;
       
       this.emit('started', { expiresAt: session.expires_at });
     } catch (error) {
-      console.error('❌ Failed to start:', error.message || error);
+      this.logger.error('Failed to start', { err: error });
+      if (error instanceof BudgetExceededError) {
+        this.emit('budgetExceeded', error);
+      }
       this.emit('error', error);
       throw error;
     }
   }
 
+  /**
+   * Pay for a brand new session and adopt it
+   */
+  async buySession() {
+    this.logger.debug('Getting invoice', { endpoint: '/connect', minutes: this.duration });
+    const invoice = await this.paymentManager.getInvoice(this.duration);
+    const session = await this.paymentManager.payInvoice(invoice);
+    await this.setSession(session);
+    return session;
+  }
+
+  /**
+   * Reuse a still-valid session from the session store instead of paying.
+   * Returns true if the stream connected with the stored token.
+   */
+  async resumeSession() {
+    if (!this.sessionStore) {
+      return false;
+    }
+
+    let stored;
+    try {
+      stored = await this.sessionStore.load();
+    } catch (error) {
+      this.logger.warn('Failed to load stored session', { err: error });
+      return false;
+    }
+    if (!stored?.accessToken || stored.baseUrl !== this.baseUrl) {
+      return false;
+    }
+
+    const remaining = (stored.expiresAt ?? 0) - Date.now();
+    if (remaining < this.resumeMinRemaining) {
+      await this.clearStoredSession();
+      return false;
+    }
+
+    this.currentToken = stored.accessToken;
+    this.expiresAt = stored.expiresAt;
+    this.logger.info('Resuming stored session', { sessionId: this.sessionId, secondsLeft: Math.round(remaining / 1000) });
+
+    try {
+      const connected = this.waitForStream(this.connectTimeout);
+      this.connectStream();
+      await connected;
+    } catch (error) {
+      this.logger.warn('Stored session rejected, buying a new one', { sessionId: this.sessionId, err: error });
+      // Not a `closed`: start() goes on to connect with a new session
+      this.wsManager?.disconnect({ notify: false });
+      this.wsManager = null;
+      this.currentToken = null;
+      this.expiresAt = null;
+      await this.clearStoredSession();
+      return false;
+    }
+
+    this.isRunning = true;
+    this.scheduleRenewal();
+    const expiresAt = new Date(stored.expiresAt).toISOString();
+    this.logger.info('Session resumed', { sessionId: this.sessionId, expiresAt });
+    this.emit('started', { expiresAt, resumed: true });
+    return true;
+  }
+
+  /**
+   * Load the persisted dedup window; a failure only costs possible repeats
+   */
+  async loadDedupWindow() {
+    try {
+      await this.dedup?.load();
+    } catch (error) {
+      this.logger.warn('Failed to load dedup window', { err: error });
+    }
+  }
+
+  /**
+   * Resume deliveries left pending by a previous run
+   */
+  async loadDeliveryQueue() {
+    try {
+      await this.deliveryQueue.load();
+    } catch (error) {
+      this.logger.warn('Failed to load delivery queue', { err: error });
+    }
+  }
+
+  /**
+   * Adopt a session returned by /connect or /extend and persist it
+   */
+  async setSession(session) {
+    this.currentToken = session.access_token || this.currentToken;
+    this.expiresAt = parseExpiry(session.expires_at);
+    this.scheduleRenewal();
+
+    if (this.sessionStore && this.expiresAt) {
+      try {
+        await this.sessionStore.save({
+          accessToken: this.currentToken,
+          expiresAt: this.expiresAt,
+          baseUrl: this.baseUrl
+        });
+      } catch (error) {
+        this.logger.warn('Failed to persist session', { sessionId: this.sessionId, err: error });
+      }
+    }
+  }
+
+  /**
+   * Arm a timer to renew `renewLeadTime` before the current expiry, so
+   * renewal does not depend on receiving the server's expiry_soon message
+   */
+  scheduleRenewal() {
+    clearTimeout(this.renewalTimer);
+    this.renewalTimer = null;
+    if (!this.autoRenew || !this.expiresAt) {
+      return;
+    }
+
+    const windowExpiry = this.expiresAt;
+    const delay = Math.max(0, windowExpiry - this.renewLeadTime - Date.now());
+    this.renewalTimer = setTimeout(() => {
+      this.renewalTimer = null;
+      this.logger.info('Renewal lead time reached, extending', { sessionId: this.sessionId });
+      this.renewSession({ windowExpiry }).catch(() => {});
+    }, delay);
+    // Never keep the process alive just for a renewal
+    this.renewalTimer.unref?.();
+  }
+
+  /**
+   * Renew the session once per expiry window.
+   *
+   * Timer- and server-triggered renewals share one in-flight attempt, and a
+   * trigger for a window that has already been extended (current expiry is
+   * past `windowExpiry`) is ignored, so the same window is never paid twice.
+   */
+  async renewSession({ windowExpiry } = {}) {
+    if (this.renewalPromise) {
+      return this.renewalPromise;
+    }
+    // Allow for clock skew between our expiry and the server's countdown
+    if (windowExpiry && this.expiresAt && this.expiresAt > windowExpiry + 5_000) {
+      this.logger.debug('Session already renewed for this window', { sessionId: this.sessionId });
+      return true;
+    }
+
+    this.renewalPromise = this.extendSessionWithRetry();
+    try {
+      return await this.renewalPromise;
+    } finally {
+      this.renewalPromise = null;
+    }
+  }
+
+  /**
+   * Forget the stored session
+   */
+  async clearStoredSession() {
+    if (!this.sessionStore) {
+      return;
+    }
+    try {
+      await this.sessionStore.clear();
+    } catch (error) {
+      this.logger.warn('Failed to clear stored session', { err: error });
+    }
+  }
+
+  /**
+   * Open the WebSocket stream with the current token
+   */
+  connectStream() {
+    this.wsManager = new WebSocketManager({
+      baseUrl: this.baseUrl,
+      accessToken: this.currentToken,
+      reconnect: this.reconnect,
+      swapTimeout: this.swapTimeout,
+      logger: this.logger,
+      onMessage: (msg) => this.handleMessage(msg).catch(error => {
+        this.logger.error('Failed to handle message', { err: error });
+        this.handleError(error);
+      }),
+      onError: (err) => this.handleError(err),
+      onClose: (code, reason) => this.handleClose(code, reason),
+      onSessionExpired: (code, reason) => this.handleSessionExpired(code, reason),
+      onReconnecting: (attempt, delay) => this.emit('reconnecting', { attempt, delay }),
+      onReconnected: (attempt) => this.emit('reconnected', { attempt }),
+      onReconnectFailed: (attempts) => this.emit('reconnectFailed', { attempts })
+    });
+    // "Session expired" / "Renew" text frame: renew before the server hangs up
+    this.wsManager.on('sessionExpired', () => this.handleExpiryNotice());
+    this.wsManager.connect();
+  }
+
+  /**
+   * Resolve when the stream reports `status: 'connected'`, reject if it
+   * closes first or the timeout passes
+   */
+  waitForStream(timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => settle(new Error('timed out waiting for stream')), timeoutMs);
+      const settle = (error) => {
+        clearTimeout(timer);
+        this.streamWaiter = null;
+        error ? reject(error) : resolve();
+      };
+      this.streamWaiter = settle;
+    });
+  }
+
   /**
    * Handle incoming messages
    */
-  async handleMessage(msg) {
+  async handleMessage(raw) {
+    let msg;
+    try {
+      msg = parseMessage(raw);
+    } catch (error) {
+      this.logger.warn('Dropped invalid message', { reasons: error.reasons });
+      this.emit('invalidMessage', { raw, error });
+      return;
+    }
+
     // Handle system messages
-    if (msg.type === 'expiry_soon') {
-      console.log(`⏳ Session expiring soon (${msg.seconds_remaining}s). Extending...`);
+    if (msg instanceof SystemMessage) {
+      return this.handleSystemMessage(msg);
+    }
+
+    if (this.filter && !this.filter(msg)) {
+      this.emit('filtered', msg);
+      return;
+    }
+
+    if (this.dedup?.isDuplicate(msg.raw)) {
+      this.emit('duplicate', msg);
+      return;
+    }
+
+    this.emit('message', msg);
+
+    // Forward to destinations in the background so a slow endpoint
+    // holds up neither the others nor the stream
+    this.deliver(msg);
+  }
+
+  /**
+   * Handle control messages from the server
+   * @private
+   */
+  async handleSystemMessage(msg) {
+    if (msg.kind === 'expiry_soon') {
+      this.logger.info('Session expiring soon', { sessionId: this.sessionId, secondsRemaining: msg.secondsRemaining });
       if (this.autoRenew) {
-        await this.extendSessionWithRetry();
+        await this.renewSession({ windowExpiry: Date.now() + msg.secondsRemaining * 1000 });
       } else {
-        this.emit('sessionExpiring', { secondsRemaining: msg.seconds_remaining });
+        this.emit('sessionExpiring', { secondsRemaining: msg.secondsRemaining });
       }
       return;
     }
 
-    if (msg.type === 'session_extended') {
-      console.log('ℹ️  Session extended (server acknowledgment)');
-      this.emit('sessionExtended', msg);
+    if (msg.kind === 'session_extended') {
+      this.logger.debug('Session extension acknowledged by server', { sessionId: this.sessionId });
+      this.emit('sessionExtended', msg.raw);
       return;
     }
 
     if (msg.status === 'connected') {
-      console.log('ℹ️  Stream connected');
+      this.streamWaiter?.();
+      this.logger.info('Stream connected', { sessionId: this.sessionId });
       this.emit('connected');
-      return;
     }
+  }
 
-    // News message - forward to webhook if configured
-    if (this.webhook && this.webhook.url) {
-      try {
-        await this.forwardToWebhook(msg);
-      } catch (error) {
-        console.error('⚠️  Failed to forward message:', error.message);
-        this.emit('webhookError', { message: msg, error });
-      }
-    }
+  /**
+   * Replace the message filter at runtime (null/undefined removes it)
+   */
+  setFilter(spec) {
+    this.filter = createFilter(spec);
+  }
 
-    // Emit message event
-    this.emit('message', msg);
+  /**
+   * Add a destination (Destination instance or webhook config). Throws if
+   * another destination already has its name.
+   */
+  addDestination(destination) {
+    const dest = toDestination(destination, this.destinations.length, this.destinations.map(d => d.name));
+    assertUniqueName(dest, this.destinations);
+    this.destinations.push(dest);
+    return dest;
+  }
+
+  /**
+   * Remove a destination by name
+   */
+  removeDestination(name) {
+    this.destinations = this.destinations.filter(dest => dest.name !== name);
+    this.digests.get(name)?.clear();
+    this.digests.delete(name);
+  }
+
+  /**
+   * Look up a destination by name (e.g. to change its filter or disable it)
+   */
+  getDestination(name) {
+    return this.destinations.find(dest => dest.name === name) || null;
+  }
+
+  /**
+   * Replace the `webhook` destination's filter at runtime
+   * @deprecated Use getDestination('webhook').setFilter(spec)
+   */
+  setWebhookFilter(spec) {
+    this.logger.warn('setWebhookFilter() is deprecated, use getDestination(\'webhook\').setFilter()');
+    this.getDestination('webhook')?.setFilter(spec);
   }
 
   /**
-   * Forward message to webhook
+   * Send a message to the `webhook` destination right away, bypassing the
+   * delivery queue; throws if it fails
+   * @deprecated Messages are delivered automatically; use getDestination('webhook').send(message)
    */
   async forwardToWebhook(message) {
-    let payload;
-    
-    if (this.formatter) {
-      payload = this.formatter.format(message);
-    } else {
-      // Default: send as JSON
-      payload = { content: JSON.stringify(message, null, 2) };
+    this.logger.warn('forwardToWebhook() is deprecated, use getDestination(\'webhook\').send()');
+    const webhook = this.getDestination('webhook');
+    if (!webhook) {
+      throw new Error('No "webhook" destination configured');
     }
+    return webhook.send(message);
+  }
 
-    const { status, json } = await httpPost(this.webhook.url, {
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
+  /**
+   * Queue a message for every destination that accepts it; destinations are
+   * served concurrently and retried independently
+   */
+  deliver(message) {
+    this.destinations
+      .filter(dest => !dest.accepts || dest.accepts(message))
+      .forEach(dest => {
+        if (dest.digest) {
+          this.getDigest(dest).add(message);
+        } else {
+          this.deliveryQueue.enqueue(dest, message);
+        }
+      });
+  }
+
+  /**
+   * Digest buffer of a destination with `digest` set
+   * @private
+   */
+  getDigest(destination) {
+    let digest = this.digests.get(destination.name);
+    if (!digest) {
+      digest = new DigestBuffer({
+        ...destination.digest,
+        onFlush: (messages) => {
+          this.deliveryQueue.enqueueDigest(destination, messages);
+        }
+      });
+      this.digests.set(destination.name, digest);
+    }
+    return digest;
+  }
+
+  /**
+   * Send buffered digests now instead of waiting for their window
+   */
+  flushDigests() {
+    this.digests.forEach(digest => digest.flush());
+  }
 
-    if (status >= 200 && status < 300) {
-      const msgType = 'body' in message ? '🐦 Twitter' : 'source' in message ? '📰 Article' : '📨 News';
-      const title = message.title || 'News';
-      console.log(`📤 Forwarded to webhook (${msgType}): ${title.substring(0, 50)}...`);
-      this.emit('webhookSuccess', { message, status });
+  /**
+   * @private
+   */
+  handleDelivered(entry, message, result) {
+    if (Array.isArray(message)) {
+      this.logger.info('Forwarded digest', { destination: entry.destination, count: message.length, attempt: entry.attempts });
     } else {
-      throw new Error(`Webhook returned ${status}: ${JSON.stringify(json)}`);
+      this.logger.info('Forwarded message', {
+        destination: entry.destination,
+        type: message.type,
+        title: (message.title || 'News').substring(0, 50),
+        attempt: entry.attempts
+      });
     }
+    this.emit('webhookSuccess', { destination: entry.destination, message, status: result?.status, attempts: entry.attempts });
+  }
+
+  /**
+   * @private
+   */
+  handleDeliveryFailed(entry, message, error, willRetry) {
+    const outcome = willRetry ? 'will retry' : 'moved to dead letters';
+    this.logger.warn(`Failed to forward message (${outcome})`, { destination: entry.destination, attempt: entry.attempts, status: error.status, err: error });
+    this.emit('webhookError', { destination: entry.destination, message, error, attempt: entry.attempts, willRetry });
+  }
+
+  /**
+   * Deliveries that failed for good
+   */
+  getDeadLetters(query) {
+    return this.deliveryQueue.listDeadLetters(query);
   }
 
   /**
-   * Extend session with retry logic
+   * Requeue dead letters ({ destination, ids } to narrow); returns the count
+   */
+  replayDeadLetters(query) {
+    return this.deliveryQueue.replayDeadLetters(query);
+  }
+
+  /**
+   * Extend session, retrying with backoff unless the error says retrying
+   * cannot help (`retryable: false`)
    */
   async extendSessionWithRetry() {
     let retryDelay = 1000;
     let extended = false;
 
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      // stop() does not wait for a running renewal; never pay after it
+      if (!this.isRunning) {
+        this.logger.info('Client stopped, abandoning session extension', { sessionId: this.sessionId, attempt });
+        break;
+      }
       try {
         const extInvoice = await this.paymentManager.getExtendInvoice(this.duration, this.currentToken);
+        if (!this.isRunning) {
+          this.logger.info('Client stopped, abandoning session extension', { sessionId: this.sessionId, attempt });
+          break;
+        }
         const extPaid = await this.paymentManager.extendSession(extInvoice, this.currentToken);
-        this.currentToken = extPaid.access_token;
+        await this.setSession(extPaid);
         
-        // Update WebSocket token if needed (reconnect with new token)
+        // Hand the stream over to the new token without a gap
         if (this.wsManager) {
           this.wsManager.updateToken(this.currentToken);
         }
         
-        console.log(`🔁 Session extended. New expiry: ${extPaid.expires_at}`);
+        this.logger.info('Session extended', { sessionId: this.sessionId, expiresAt: extPaid.expires_at, attempt });
         extended = true;
         this.emit('sessionRenewed', { expiresAt: extPaid.expires_at });
         break;
       } catch (error) {
-        const isLastAttempt = attempt === this.retryAttempts;
-        const isFacilitatorError = error.message?.includes('Facilitator') || 
-                                   error.message?.includes('521') || 
-                                   error.message?.includes('verify failed');
-        
-        if (isLastAttempt) {
-          console.error(`⚠️  Extend failed after ${this.retryAttempts} attempts:`, error.message);
+        // Retrying cannot help until the spending window frees up
+        if (error instanceof BudgetExceededError) {
+          this.logger.error('Extend refused by spending limits', { sessionId: this.sessionId, limit: error.limit, err: error });
+          this.emit('budgetExceeded', error);
+          this.emit('sessionRenewalFailed', { error });
+          break;
+        }
+
+        // Rejected payment, expired session, empty wallet, bad invoice: the
+        // same request would fail again
+        if (error.retryable === false) {
+          this.logger.error('Extend failed', { sessionId: this.sessionId, attempt, status: error.status, err: error });
+          this.emit('sessionRenewalFailed', { error });
+          break;
+        }
+
+        if (attempt === this.retryAttempts) {
+          this.logger.error('Extend failed, all attempts used', { sessionId: this.sessionId, attempt, err: error });
           this.emit('sessionRenewalFailed', { error });
         } else {
-          console.warn(`⚠️  Extend attempt ${attempt}/${this.retryAttempts} failed:`, error.message);
-          if (isFacilitatorError) {
-            console.warn(`   Facilitator issue detected. Retrying in ${retryDelay / 1000}s...`);
-          }
+          this.logger.warn('Extend attempt failed, retrying', {
+            sessionId: this.sessionId,
+            attempt,
+            maxAttempts: this.retryAttempts,
+            retryInMs: retryDelay,
+            facilitatorIssue: error instanceof FacilitatorUnavailableError,
+            err: error
+          });
           await new Promise(resolve => setTimeout(resolve, retryDelay));
           retryDelay *= 2;
         }
       }
     }
-
-    if (!extended) {
-      console.error('   All retry attempts exhausted. Session extension failed.');
-    }
+    return extended;
   }
 
   /**
@@ -204,10 +627,78 @@ export class Bridge402Client {
     this.emit('error', error);
   }
 
+  /**
+   * The server announced in a text frame that the session expired: recover
+   * now rather than when it closes the socket
+   */
+  handleExpiryNotice() {
+    if (!this.autoRenew || this.streamWaiter || !this.isRunning) {
+      return; // Handled once the server closes the socket
+    }
+    this.handleSessionExpired(null, 'session expired notice');
+  }
+
+  /**
+   * Handle the server ending the stream because the session expired:
+   * renew first (extend, or buy a new session if the old one cannot be
+   * extended), then reconnect with the fresh token. A notice and the close
+   * that follows it share one recovery.
+   */
+  handleSessionExpired(code, reason) {
+    if (this.streamWaiter) {
+      this.streamWaiter(new SessionExpiredError({ message: `Session rejected by stream (code ${code})`, code, reason }));
+      return Promise.resolve();
+    }
+    if (!this.expiryRecovery) {
+      this.expiryRecovery = this.recoverExpiredSession(code, reason).finally(() => {
+        this.expiryRecovery = null;
+      });
+    }
+    return this.expiryRecovery;
+  }
+
+  /**
+   * @private
+   */
+  async recoverExpiredSession(code, reason) {
+    this.logger.warn('Session expired on server', { sessionId: this.sessionId, code: code ?? undefined, reason });
+    this.emit('sessionExpired', { code, reason });
+    if (!this.autoRenew) {
+      this.handleClose(code, reason);
+      return;
+    }
+
+    let renewed = await this.renewSession();
+    if (!renewed && this.isRunning) {
+      try {
+        this.logger.info('Extension not possible, buying a new session', { sessionId: this.sessionId });
+        await this.buySession();
+        renewed = true;
+      } catch (error) {
+        this.logger.error('Failed to buy a new session', { err: error });
+        this.emit('error', error);
+      }
+    }
+
+    if (!this.isRunning) {
+      return; // Stopped while renewing
+    }
+    if (!renewed) {
+      this.emit('reconnectFailed', { attempts: 0, reason: 'sessionExpired' });
+      this.handleClose(code, reason);
+      return;
+    }
+    this.wsManager.resume(this.currentToken);
+  }
+
   /**
    * Handle WebSocket close
    */
   handleClose(code, reason) {
+    if (this.streamWaiter) {
+      this.streamWaiter(new Error(`stream closed with code ${code}`));
+      return;
+    }
     this.isRunning = false;
     this.emit('closed', { code, reason });
   }
@@ -216,39 +707,92 @@ export class Bridge402Client {
    * Stop the client
    */
   stop() {
+    clearTimeout(this.renewalTimer);
+    this.renewalTimer = null;
     if (this.wsManager) {
       this.wsManager.disconnect();
     }
+    this.dedup?.flush().catch(error => this.logger.warn('Failed to persist dedup window', { err: error }));
+    this.flushDigests();
+    this.deliveryQueue.stop().catch(error => this.logger.warn('Failed to persist delivery queue', { err: error }));
     this.isRunning = false;
     this.emit('stopped');
   }
 
   /**
-   * Event emitter methods
+   * Async iterator over news messages, ending when the client stops
+   *
+   *   for await (const msg of client.messages({ filter: { coins: 'BTC' } })) { ... }
+   *
+   * @param {Object} options - { filter, highWaterMark, overflow, signal } (see ./stream.js)
    */
-  on(event, handler) {
-    if (!this.eventHandlers[event]) {
-      this.eventHandlers[event] = [];
-    }
-    this.eventHandlers[event].push(handler);
+  messages(options) {
+    return new MessageSubscription(this, options);
   }
 
-  off(event, handler) {
-    if (this.eventHandlers[event]) {
-      this.eventHandlers[event] = this.eventHandlers[event].filter(h => h !== handler);
-    }
+  /**
+   * News messages as a Node.js object-mode Readable
+   * @param {Object} options - messages() options; `readableHighWaterMark` for the Readable
+   */
+  toReadable({ readableHighWaterMark, ...options } = {}) {
+    return toReadable(this.messages(options), { highWaterMark: readableHighWaterMark });
   }
 
-  emit(event, data) {
-    if (this.eventHandlers[event]) {
-      this.eventHandlers[event].forEach(handler => {
-        try {
-          handler(data);
-        } catch (error) {
-          console.error(`Error in event handler for ${event}:`, error);
-        }
-      });
+  /**
+   * News messages as a WHATWG ReadableStream
+   * @param {Object} options - messages() options; `readableHighWaterMark` for the stream
+   */
+  toReadableStream({ readableHighWaterMark, ...options } = {}) {
+    return toReadableStream(this.messages(options), { highWaterMark: readableHighWaterMark });
+  }
+
+  /**
+   * Wallet balance of the payment asset (USDC on Solana by default)
+   * @returns {Promise<{ network, asset, payer, amount }>}
+   */
+  async getBalance(options) {
+    return this.requirePaymentManager().getBalance(options);
+  }
+
+  /**
+   * Whether the wallet can pay an invoice (e.g. from paymentManager.getInvoice())
+   */
+  async canAfford(invoice) {
+    return this.requirePaymentManager().canAfford(invoice);
+  }
+
+  /**
+   * Balance and how many more sessions it buys at the current price. Asks
+   * the server for a (free) invoice to learn the price.
+   * @returns {Promise<{ network, asset, payer, amount, price, sessionsRemaining }>}
+   */
+  async getWalletHealth() {
+    const paymentManager = this.requirePaymentManager();
+    const invoice = await paymentManager.getInvoice(this.duration);
+    const balance = await paymentManager.getBalance({ network: invoice.network, asset: invoice.asset, scheme: invoice.scheme });
+    const price = BigInt(invoice.maxAmountRequired);
+    return {
+      ...balance,
+      price,
+      sessionsRemaining: paymentManager.walletMonitor.estimateRemaining(balance, price)
+    };
+  }
+
+  /**
+   * @private
+   */
+  requirePaymentManager() {
+    if (!this.paymentManager) {
+      throw new Error('Wallet is required. Provide wallet in constructor options.');
     }
+    return this.paymentManager;
+  }
+
+  /**
+   * Non-secret identifier of the current session, for logs
+   */
+  get sessionId() {
+    return this.currentToken ? tokenId(this.currentToken) : undefined;
   }
 
   /**
@@ -258,7 +802,9 @@ export class Bridge402Client {
     return {
       isRunning: this.isRunning,
       isConnected: this.wsManager?.isConnected() || false,
-      hasToken: !!this.currentToken
+      hasToken: !!this.currentToken,
+      expiresAt: this.expiresAt ? new Date(this.expiresAt).toISOString() : null,
+      deliveries: this.deliveryQueue.getStats()
     };
   }
 }
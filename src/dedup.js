@@ -0,0 +1,138 @@
+/**
+ * Message deduplication for at-most-once delivery of news items
+ */
+
+import { createHash } from 'crypto';
+import { resolveLogger } from './logger.js';
+
+/**
+ * Stable identity for a news message: the server id when present, otherwise
+ * a hash of url, title and time (or of the whole payload if those are missing)
+ */
+export function messageIdentity(msg) {
+  const serverId = msg._id ?? msg.id ?? msg.message_id;
+  if (serverId !== undefined && serverId !== null && serverId !== '') {
+    return `id:${serverId}`;
+  }
+
+  const url = msg.url || msg.link || '';
+  const basis = url || msg.title || msg.time
+    ? [url, msg.title || '', msg.time ?? ''].join('|')
+    : JSON.stringify(msg);
+  return `h:${createHash('sha256').update(basis).digest('hex').slice(0, 32)}`;
+}
+
+/**
+ * Remembers recently seen message identities in a bounded window
+ *
+ * Entries expire after `ttl` ms and the oldest are evicted beyond `maxSize`.
+ * With a `store` (see ./stores) the window is loaded on load() and saved
+ * shortly after changes, so duplicates are caught across restarts.
+ */
+export class MessageDeduplicator {
+  constructor({ ttl = 60 * 60 * 1000, maxSize = 10_000, store = null, identity = messageIdentity, saveDelay = 1000, logger } = {}) {
+    this.ttl = ttl;
+    this.maxSize = maxSize;
+    this.store = store;
+    this.identity = identity;
+    this.saveDelay = saveDelay;
+    this.logger = resolveLogger(logger);
+    this.seen = new Map(); // key -> first seen (ms), oldest first
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load the persisted window, if a store is configured
+   */
+  async load() {
+    if (!this.store) {
+      return;
+    }
+    const saved = await this.store.load();
+    const now = Date.now();
+    (saved?.entries || []).forEach(([key, at]) => {
+      if (now - at < this.ttl && !this.seen.has(key)) {
+        this.seen.set(key, at);
+      }
+    });
+    this.prune(now);
+  }
+
+  /**
+   * Record a message and report whether it was already seen
+   */
+  isDuplicate(msg) {
+    const key = this.identity(msg);
+    const now = Date.now();
+    this.prune(now);
+
+    if (this.seen.has(key)) {
+      return true;
+    }
+    this.seen.set(key, now);
+    if (this.seen.size > this.maxSize) {
+      this.seen.delete(this.seen.keys().next().value);
+    }
+    this.scheduleSave();
+    return false;
+  }
+
+  /**
+   * Drop expired entries (the map is in insertion order, so stop at the first fresh one)
+   * @private
+   */
+  prune(now) {
+    for (const [key, at] of this.seen) {
+      if (now - at < this.ttl) {
+        break;
+      }
+      this.seen.delete(key);
+    }
+  }
+
+  /**
+   * @private
+   */
+  scheduleSave() {
+    if (!this.store || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush().catch(error => this.logger.warn('Failed to persist dedup window', { err: error }));
+    }, this.saveDelay);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Persist the window now
+   */
+  async flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (this.store) {
+      await this.store.save({ entries: [...this.seen] });
+    }
+  }
+
+  /**
+   * Forget everything seen so far
+   */
+  clear() {
+    this.seen.clear();
+    this.scheduleSave();
+  }
+}
+
+/**
+ * Accept a MessageDeduplicator, an options object, true (defaults) or false
+ */
+export function resolveDeduplicator(dedup, { logger } = {}) {
+  if (dedup === false) {
+    return null;
+  }
+  if (dedup instanceof MessageDeduplicator) {
+    return dedup;
+  }
+  return new MessageDeduplicator({ logger, ...(dedup === true || dedup === undefined ? {} : dedup) });
+}
@@ -0,0 +1,73 @@
+/**
+ * Base message destination
+ */
+
+import { createFilter } from '../filters.js';
+import { resolveDigestOptions } from './digest.js';
+
+export class Destination {
+  constructor({ name, formatter, filter, enabled = true, digest = null } = {}) {
+    this.name = name || 'destination';
+    this.formatter = formatter || null;
+    this.filter = createFilter(filter);
+    this.enabled = enabled;
+    // Buffer messages and send them combined (see ./digest.js)
+    this.digest = resolveDigestOptions(digest);
+  }
+
+  /**
+   * Whether this destination wants the message
+   */
+  accepts(message) {
+    return this.enabled && (!this.filter || !!this.filter(message));
+  }
+
+  /**
+   * Build the payload to deliver
+   */
+  format(message) {
+    return this.formatter ? this.formatter.format(message) : message;
+  }
+
+  /**
+   * Deliver a message (implemented by subclasses)
+   */
+  async send(message) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  /**
+   * Split a digest into groups that each go out as one delivery. Every
+   * message is its own group (and its own queued delivery, retried alone)
+   * unless the destination overrides this and sendBatch() to combine them.
+   */
+  packBatch(messages) {
+    return messages.map(message => [message]);
+  }
+
+  /**
+   * Deliver a group from packBatch()
+   */
+  async sendBatch(messages) {
+    let result;
+    for (const message of messages) {
+      result = await this.send(message);
+    }
+    return result;
+  }
+
+  /**
+   * Replace the filter at runtime (null/undefined removes it)
+   */
+  setFilter(spec) {
+    this.filter = createFilter(spec);
+  }
+
+  enable() {
+    this.enabled = true;
+  }
+
+  disable() {
+    this.enabled = false;
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Digest buffering for destinations
+ */
+
+const DEFAULT_WINDOW = 30_000;
+const DEFAULT_MAX_ITEMS = 10;
+
+/**
+ * Collects messages and hands them over together once `window` ms have
+ * passed since the first one, or as soon as `maxItems` are waiting
+ */
+export class DigestBuffer {
+  constructor({ window = DEFAULT_WINDOW, maxItems = DEFAULT_MAX_ITEMS, onFlush } = {}) {
+    this.window = window;
+    this.maxItems = maxItems;
+    this.onFlush = onFlush;
+    this.messages = [];
+    this.timer = null;
+  }
+
+  /**
+   * Add a message, flushing if the buffer is full
+   */
+  add(message) {
+    this.messages.push(message);
+    if (this.messages.length >= this.maxItems) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.window);
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Hand over everything buffered now
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.messages.length === 0) {
+      return;
+    }
+    const messages = this.messages;
+    this.messages = [];
+    this.onFlush?.(messages);
+  }
+
+  /**
+   * Drop everything buffered without sending
+   */
+  clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.messages = [];
+  }
+
+  get size() {
+    return this.messages.length;
+  }
+}
+
+/**
+ * Accept digest options, true for defaults, or a falsy value for no digest
+ */
+export function resolveDigestOptions(digest) {
+  if (!digest) {
+    return null;
+  }
+  const { window = DEFAULT_WINDOW, maxItems = DEFAULT_MAX_ITEMS } = digest === true ? {} : digest;
+  return { window, maxItems };
+}
@@ -0,0 +1,63 @@
+/**
+ * Message destinations
+ *
+ * A destination is any object with a `name`, accepts(message) and an async
+ * send(message). Extend Destination to get filters and enable/disable.
+ */
+
+import { Destination } from './base.js';
+import { WebhookDestination } from './webhook.js';
+import { TelegramDestination } from './telegram.js';
+
+export { Destination } from './base.js';
+export { WebhookDestination } from './webhook.js';
+export { TelegramDestination } from './telegram.js';
+export { DeliveryQueue } from './queue.js';
+export { DigestBuffer } from './digest.js';
+
+/**
+ * Accept a Destination, a Telegram config ({ type: 'telegram', botToken, chatId, ... })
+ * or a webhook config ({ url, formatter, ... }). Configs without a name get
+ * `webhook-N` / `telegram-N`, skipping names in `taken`.
+ */
+export function toDestination(config, index = 0, taken = []) {
+  if (config instanceof Destination || typeof config?.send === 'function') {
+    return config;
+  }
+  if (config.type === 'telegram') {
+    const { type, ...options } = config;
+    return new TelegramDestination({ name: config.name || uniqueName('telegram', index, taken), ...options });
+  }
+  return new WebhookDestination({ name: config.name || uniqueName('webhook', index, taken), ...config });
+}
+
+/**
+ * Build the destination list from `webhooks` plus the legacy single
+ * `webhook` + `formatter` options
+ */
+export function resolveDestinations({ webhooks = [], webhook, formatter } = {}) {
+  const destinations = webhook?.url ? [new WebhookDestination({ name: 'webhook', formatter, ...webhook })] : [];
+  webhooks.forEach((config, i) => {
+    const destination = toDestination(config, i, destinations.map(dest => dest.name));
+    assertUniqueName(destination, destinations);
+    destinations.push(destination);
+  });
+  return destinations;
+}
+
+/**
+ * Queued deliveries find their destination by name, so names must be unique
+ */
+export function assertUniqueName(destination, destinations) {
+  if (destinations.some(dest => dest.name === destination.name)) {
+    throw new Error(`Duplicate destination name "${destination.name}": give each destination its own name`);
+  }
+}
+
+function uniqueName(prefix, index, taken) {
+  let n = index + 1;
+  while (taken.includes(`${prefix}-${n}`)) {
+    n++;
+  }
+  return `${prefix}-${n}`;
+}
@@ -0,0 +1,338 @@
+/**
+ * Durable delivery queue with retries and dead-lettering
+ */
+
+import { randomUUID } from 'crypto';
+import { parseMessage } from '../messages.js';
+import { resolveLogger } from '../logger.js';
+
+// Besides 5xx and network errors
+const RETRYABLE_STATUS = [408, 425, 429];
+
+/**
+ * Delivers queued messages to destinations, retrying failures
+ *
+ * Each destination works through its own entries in order, one at a time, so
+ * a rate-limited destination backs off without holding up the others.
+ * Failures are retried with exponential backoff; a 429 pauses the destination
+ * for its Retry-After and does not count as an attempt, up to
+ * `maxRateLimits` times per entry. After `maxAttempts` or `maxRateLimits`, or
+ * on a non-retryable response (e.g. 400/404), the entry is dead-lettered.
+ *
+ * With a `store` and `deadLetterStore` (see ../stores) pending and failed
+ * deliveries survive restarts.
+ */
+export class DeliveryQueue {
+  constructor({
+    resolveDestination,
+    store = null,
+    deadLetterStore = null,
+    maxAttempts = 5,
+    maxRateLimits = 20,
+    baseDelay = 1000,
+    maxDelay = 5 * 60_000,
+    maxDeadLetters = 1000,
+    onDelivered,
+    onFailed,
+    onDeadLetter,
+    logger
+  } = {}) {
+    this.resolveDestination = resolveDestination || (() => null);
+    this.store = store;
+    this.deadLetterStore = deadLetterStore;
+    this.maxAttempts = maxAttempts;
+    this.maxRateLimits = maxRateLimits;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.maxDeadLetters = maxDeadLetters;
+    this.onDelivered = onDelivered;
+    this.onFailed = onFailed;
+    this.onDeadLetter = onDeadLetter;
+    this.logger = resolveLogger(logger);
+
+    this.pending = []; // Oldest first
+    this.deadLetters = [];
+    this.inFlight = new Set(); // Destination names with a send in progress
+    this.pausedUntil = new Map(); // Destination name -> ms (rate limits)
+    this.timer = null;
+    this.stopped = false;
+    this.loaded = false; // Never overwrite stored state that was not loaded yet
+  }
+
+  /**
+   * Load persisted pending deliveries and dead letters, and resume sending
+   */
+  async load() {
+    this.stopped = false;
+    if (this.store) {
+      const saved = await this.store.load();
+      const known = new Set(this.pending.map(entry => entry.id));
+      const restored = (saved?.pending || []).filter(entry => !known.has(entry.id));
+      this.pending = [...restored, ...this.pending];
+    }
+    if (this.deadLetterStore) {
+      const saved = await this.deadLetterStore.load();
+      this.deadLetters = [...(saved?.entries || []), ...this.deadLetters];
+    }
+    this.loaded = true;
+    this.persist();
+    this.pump();
+  }
+
+  /**
+   * Queue a message, or a digest group (array) sent with sendBatch(), for a destination
+   */
+  enqueue(destination, message) {
+    const batch = Array.isArray(message);
+    const entry = {
+      id: randomUUID(),
+      destination: destination.name,
+      [batch ? 'messages' : 'message']: batch ? message.map(toRaw) : toRaw(message),
+      attempts: 0,
+      rateLimits: 0,
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: Date.now(),
+      lastError: null
+    };
+    this.pending.push(entry);
+    this.persist();
+    this.pump();
+    return entry;
+  }
+
+  /**
+   * Queue a flushed digest, one entry per group from destination.packBatch().
+   * If packing fails the messages are queued one by one, so a broken
+   * formatter fails their deliveries instead of the caller.
+   */
+  enqueueDigest(destination, messages) {
+    let groups;
+    try {
+      groups = destination.packBatch(messages);
+    } catch (error) {
+      this.logger.warn('Failed to pack digest, queueing messages one by one', { destination: destination.name, err: error });
+      groups = messages.map(message => [message]);
+    }
+    return groups.map(group => this.enqueue(destination, group));
+  }
+
+  /**
+   * Start every delivery that is due and wake up for the next one
+   * @private
+   */
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.stopped) {
+      return;
+    }
+
+    const now = Date.now();
+    const heads = new Set();
+    let wakeAt = Infinity;
+
+    for (const entry of this.pending) {
+      // Only the oldest entry per destination is eligible, to keep order
+      if (heads.has(entry.destination)) continue;
+      heads.add(entry.destination);
+      if (this.inFlight.has(entry.destination)) continue;
+
+      const readyAt = Math.max(entry.nextAttemptAt, this.pausedUntil.get(entry.destination) || 0);
+      if (readyAt > now) {
+        wakeAt = Math.min(wakeAt, readyAt);
+        continue;
+      }
+      this.attempt(entry);
+    }
+
+    if (wakeAt !== Infinity) {
+      this.timer = setTimeout(() => this.pump(), wakeAt - now);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async attempt(entry) {
+    this.inFlight.add(entry.destination);
+    entry.attempts++;
+    const destination = this.resolveDestination(entry.destination);
+    const message = entry.messages ? entry.messages.map(toMessage) : toMessage(entry.message);
+
+    try {
+      if (!destination) {
+        throw new Error(`Unknown destination "${entry.destination}"`);
+      }
+      const result = entry.messages ? await destination.sendBatch(message) : await destination.send(message);
+      this.remove(entry);
+      this.onDelivered?.(entry, message, result);
+    } catch (error) {
+      const retryAfter = error.status === 429 ? getRetryAfter(error, this.baseDelay) : null;
+      if (retryAfter !== null) {
+        this.pausedUntil.set(entry.destination, Date.now() + retryAfter);
+        entry.attempts--; // Being rate limited is not the message's fault
+        entry.rateLimits = (entry.rateLimits || 0) + 1; // ...but it cannot go on forever
+      }
+
+      entry.lastError = error.message;
+      const willRetry = !!destination && isRetryable(error) && entry.attempts < this.maxAttempts &&
+        (entry.rateLimits || 0) < this.maxRateLimits;
+      this.onFailed?.(entry, message, error, willRetry);
+
+      if (willRetry) {
+        entry.nextAttemptAt = Date.now() + (retryAfter ?? this.getRetryDelay(entry.attempts));
+      } else {
+        this.remove(entry);
+        this.addDeadLetter(entry, error);
+        this.onDeadLetter?.(entry, message, error);
+      }
+    } finally {
+      this.inFlight.delete(entry.destination);
+      this.persist();
+      this.pump();
+    }
+  }
+
+  /**
+   * Backoff delay after a given number of failed attempts
+   */
+  getRetryDelay(attempts) {
+    const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempts - 1));
+    return exponential * (0.8 + Math.random() * 0.4);
+  }
+
+  /**
+   * @private
+   */
+  remove(entry) {
+    this.pending = this.pending.filter(pending => pending !== entry);
+  }
+
+  /**
+   * @private
+   */
+  addDeadLetter(entry, error) {
+    this.deadLetters.push({
+      ...entry,
+      failedAt: new Date().toISOString(),
+      status: error.status ?? null,
+      lastError: error.message
+    });
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.splice(0, this.deadLetters.length - this.maxDeadLetters);
+    }
+  }
+
+  /**
+   * Dead-lettered deliveries, optionally for one destination
+   */
+  listDeadLetters({ destination } = {}) {
+    return this.deadLetters.filter(entry => !destination || entry.destination === destination);
+  }
+
+  /**
+   * Move dead letters back into the queue (all, one destination, or by id)
+   * and return how many were requeued
+   */
+  replayDeadLetters({ destination, ids } = {}) {
+    const replay = this.deadLetters.filter(entry =>
+      (!destination || entry.destination === destination) && (!ids || ids.includes(entry.id))
+    );
+    if (replay.length === 0) {
+      return 0;
+    }
+    this.deadLetters = this.deadLetters.filter(entry => !replay.includes(entry));
+    replay.forEach(({ failedAt, status, ...entry }) => {
+      this.pending.push({ ...entry, attempts: 0, rateLimits: 0, nextAttemptAt: Date.now() });
+    });
+    this.persist();
+    this.pump();
+    return replay.length;
+  }
+
+  /**
+   * Drop dead letters (all, or one destination's)
+   */
+  clearDeadLetters({ destination } = {}) {
+    this.deadLetters = destination ? this.deadLetters.filter(entry => entry.destination !== destination) : [];
+    this.persist();
+  }
+
+  /**
+   * Counts of pending and dead-lettered deliveries
+   */
+  getStats() {
+    return {
+      pending: this.pending.length,
+      inFlight: this.inFlight.size,
+      deadLetters: this.deadLetters.length
+    };
+  }
+
+  /**
+   * Save the queue now
+   */
+  async flush() {
+    if (!this.loaded) {
+      return;
+    }
+    await Promise.all([
+      this.store?.save({ pending: this.pending }),
+      this.deadLetterStore?.save({ entries: this.deadLetters })
+    ]);
+  }
+
+  /**
+   * @private
+   */
+  persist() {
+    if (this.store || this.deadLetterStore) {
+      this.flush().catch(error => this.logger.warn('Failed to persist delivery queue', { err: error }));
+    }
+  }
+
+  /**
+   * Stop sending (pending entries stay queued) and persist the queue
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.flush();
+  }
+}
+
+function isRetryable(error) {
+  const status = error.status;
+  return status === undefined || status === null || status >= 500 || RETRYABLE_STATUS.includes(status);
+}
+
+// Retry-After is seconds or an HTTP date; Discord (retry_after) and Telegram
+// (parameters.retry_after) also send it in the body, in seconds
+function getRetryAfter(error, fallback) {
+  const header = error.headers?.['retry-after'];
+  if (header !== undefined) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  const bodySeconds = Number(error.body?.retry_after ?? error.body?.parameters?.retry_after);
+  return Number.isFinite(bodySeconds) ? bodySeconds * 1000 : fallback;
+}
+
+function toRaw(message) {
+  return typeof message?.toJSON === 'function' ? message.toJSON() : message;
+}
+
+function toMessage(raw) {
+  try {
+    return parseMessage(raw);
+  } catch {
+    return raw;
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Telegram Bot API destination
+ */
+
+import { Destination } from './base.js';
+import { TelegramFormatter } from '../formatters/telegram.js';
+import { httpPost } from '../utils/http.js';
+import { DeliveryError } from '../errors.js';
+
+export class TelegramDestination extends Destination {
+  /**
+   * @param {Object} options
+   * @param {string} options.botToken - Token from @BotFather
+   * @param {string|number} options.chatId - Chat id or @channelusername
+   * @param {boolean} options.silent - Send without notification sound
+   */
+  constructor({ botToken, chatId, apiUrl = 'https://api.telegram.org', silent = false, formatter, ...options }) {
+    super({ name: 'telegram', formatter: formatter || new TelegramFormatter(), ...options });
+    if (!botToken || !chatId) {
+      throw new Error('TelegramDestination requires botToken and chatId');
+    }
+    this.botToken = botToken;
+    this.chatId = chatId;
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.silent = silent;
+  }
+
+  /**
+   * Call sendMessage/sendPhoto; throws DeliveryError unless Telegram reports ok
+   */
+  async send(message) {
+    const { method = 'sendMessage', ...params } = this.format(message);
+    const { status, json, headers } = await httpPost(`${this.apiUrl}/bot${this.botToken}/${method}`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: this.chatId, disable_notification: this.silent, ...params })
+    });
+
+    if (status < 200 || status >= 300 || json?.ok !== true) {
+      throw new DeliveryError(this.name, status, json, headers);
+    }
+    return { status, messageId: json.result?.message_id };
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * HTTP webhook destination (Discord, Slack, or any JSON endpoint)
+ */
+
+import { Destination } from './base.js';
+import { httpPost } from '../utils/http.js';
+import { DeliveryError } from '../errors.js';
+
+export class WebhookDestination extends Destination {
+  constructor({ url, headers = {}, ...options }) {
+    super({ name: 'webhook', ...options });
+    if (!url) {
+      throw new Error('WebhookDestination requires a url');
+    }
+    this.url = url;
+    this.headers = headers;
+  }
+
+  format(message) {
+    if (this.formatter) {
+      return this.formatter.format(message);
+    }
+    // Default: send as JSON
+    return { content: JSON.stringify(message, null, 2) };
+  }
+
+  /**
+   * POST the formatted message; throws DeliveryError on a non-2xx response
+   */
+  async send(message) {
+    return this.post(this.format(message));
+  }
+
+  /**
+   * Group a digest the way the formatter combines messages (one per group
+   * for formatters with only format())
+   */
+  packBatch(messages) {
+    return canCombine(this.formatter) ? this.formatter.packBatch(messages) : super.packBatch(messages);
+  }
+
+  /**
+   * POST a group of messages combined into one payload
+   */
+  async sendBatch(messages) {
+    if (!canCombine(this.formatter) || messages.length === 1) {
+      return super.sendBatch(messages);
+    }
+    return this.post(this.formatter.formatGroup(messages));
+  }
+
+  /**
+   * @private
+   */
+  async post(payload) {
+    const { status, json, headers } = await httpPost(this.url, {
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(payload)
+    });
+
+    if (status < 200 || status >= 300) {
+      throw new DeliveryError(this.name, status, json, headers);
+    }
+    return { status };
+  }
+}
+
+// Formatters only have to implement format(); combining needs both of these
+function canCombine(formatter) {
+  return typeof formatter?.packBatch === 'function' && typeof formatter.formatGroup === 'function';
+}
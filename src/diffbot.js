@@ -2,33 +2,47 @@
  * Bridge402 Diffbot Client - Extract structured content from web pages
  */
 
-import { PaymentManager } from './payment.js';
-import { httpPost } from './utils/http.js';
-import { PublicKey } from '@solana/web3.js';
-import { buildExactPaymentTx } from './utils/payment.js';
+import { PaymentManager, PAYMENT_NETWORKS } from './payment.js';
+import { httpPost, decodePaymentResponse } from './utils/http.js';
+import { BudgetExceededError, ExtractionError, InsufficientFundsError, toResponseError } from './errors.js';
+import { TypedEmitter } from './events.js';
 
-export class DiffbotClient {
+const DIFFBOT_EVENTS = ['extraction', 'budgetExceeded', 'lowBalance'];
+
+const EXTRACTION_TYPES = ['article', 'product', 'discussion', 'image'];
+
+export class DiffbotClient extends TypedEmitter {
   constructor(options = {}) {
+    // Logger: pino/winston-style instance, console level, or false (see ./logger.js)
+    super(DIFFBOT_EVENTS, { logger: options.logger });
     this.baseUrl = options.baseUrl || 'https://bridge402.tech';
     this.solanaRpc = options.solanaRpc || 'https://api.mainnet-beta.solana.com';
     this.wallet = options.wallet;
     this.network = options.network || 'sol'; // 'sol' or 'base'
     this.retryAttempts = options.retryAttempts || 3;
     
-    // Internal state
-    this.paymentManager = null;
-    this.eventHandlers = {};
-    
     // Initialize payment manager
-    if (this.wallet) {
-      this.paymentManager = new PaymentManager({
-        baseUrl: this.baseUrl,
-        solanaRpc: this.solanaRpc,
-        wallet: this.wallet,
-        solUsdcMint: options.solUsdcMint,
-        facilitatorUrl: options.facilitatorUrl
-      });
-    }
+    this.paymentManager = new PaymentManager({
+      baseUrl: this.baseUrl,
+      solanaRpc: this.solanaRpc,
+      network: this.network,
+      wallet: this.wallet,
+      evmWallet: options.evmWallet, // Hex private key or viem account, for 'base'
+      evmRpc: options.evmRpc,
+      solUsdcMint: options.solUsdcMint,
+      facilitatorUrl: options.facilitatorUrl,
+      schemes: options.schemes,
+      paymentPolicy: options.paymentPolicy,
+      budget: options.budget,
+      invoiceValidation: options.invoiceValidation,
+      receipts: options.receipts,
+      logger: this.logger,
+      balanceCheck: options.balanceCheck,
+      balanceTimeout: options.balanceTimeout,
+      lowBalance: options.lowBalance,
+      onLowBalance: (balance) => this.emit('lowBalance', balance)
+    });
+    this.evmWallet = this.paymentManager.evmWallet;
   }
 
   /**
@@ -76,36 +90,44 @@ export class DiffbotClient {
       throw new Error('Invalid URL. Must start with http:// or https://');
     }
 
-    if (!this.wallet) {
-      throw new Error('Wallet is required. Provide wallet in constructor options.');
+    if (!this.wallet && !this.evmWallet) {
+      throw new Error('Wallet is required. Provide wallet or evmWallet in constructor options.');
     }
 
-    if (!['article', 'product', 'discussion', 'image'].includes(extractionType)) {
+    if (!EXTRACTION_TYPES.includes(extractionType)) {
       throw new Error(`Invalid extraction type: ${extractionType}. Must be 'article', 'product', 'discussion', or 'image'`);
     }
 
+    const endpoint = `/diffbot/${extractionType}`;
     try {
       // Get invoice
-      console.log(`📋 Getting invoice for ${extractionType} extraction...`);
+      this.logger.debug('Getting invoice', { endpoint, url });
       const invoice = await this._getInvoice(extractionType, url);
       
-      const amountUsdc = (BigInt(invoice.maxAmountRequired) / BigInt(1_000_000)).toString();
-      console.log(`💰 Invoice: ${amountUsdc} USDC`);
-      
-      // Pay invoice
-      console.log(`💸 Paying invoice...`);
-      const payment = await this._payInvoice(extractionType, url, invoice);
-      
-      // Get extraction
-      console.log(`🔍 Extracting ${extractionType} from URL...`);
-      const result = await this._getExtraction(extractionType, url, payment);
+      const result = await this.paymentManager.withBudget(invoice, async (payment) => {
+        // Get extraction
+        this.logger.debug('Extracting', { endpoint, url });
+        const { result, settlement } = await this._getExtraction(extractionType, url, payment.header);
+
+        await this.paymentManager.recordReceipt({
+          invoice,
+          payment,
+          endpoint,
+          settlement,
+          url
+        });
+        return result;
+      }, { endpoint, url });
       
-      console.log(`✅ Extraction complete!`);
+      this.logger.info('Extraction complete', { endpoint, url, amount: invoice.maxAmountRequired });
       this.emit('extraction', { type: extractionType, url, result });
       
       return result;
     } catch (error) {
-      console.error(`❌ ${extractionType} extraction failed:`, error.message || error);
+      this.logger.error('Extraction failed', { endpoint, url, err: error });
+      if (error instanceof BudgetExceededError) {
+        this.emit('budgetExceeded', error);
+      }
       this.emit('error', error);
       throw error;
     }
@@ -121,51 +143,20 @@ export class DiffbotClient {
     const { status, json } = await httpPost(`${endpoint}?url=${urlParam}&network=${this.network}`);
     
     if (status !== 402) {
-      throw new Error(`Expected 402 invoice, got ${status}: ${JSON.stringify(json)}`);
+      throw toResponseError({ endpoint: `/diffbot/${extractionType}`, status, body: json, url });
     }
     
-    const accepts = (json.accepts && json.accepts[0]) || json;
-    return accepts;
+    const network = this._paymentNetwork();
+    const accepts = await this.paymentManager.selectRequirement(json, { network });
+    return this.paymentManager.validateInvoice(accepts, { network });
   }
 
   /**
-   * Pay invoice for extraction
+   * x402 network name assumed for options that do not declare one
    * @private
    */
-  async _payInvoice(extractionType, url, invoice) {
-    const feePayerStr = invoice?.extra?.feePayer || process.env.SOL_FEE_PAYER || await this.paymentManager.fetchSupportedFeePayer();
-    if (!feePayerStr) {
-      throw new Error('Missing facilitator feePayer for Solana');
-    }
-    
-    const feePayer = new PublicKey(feePayerStr);
-    const mint = new PublicKey(invoice.asset || this.paymentManager.solUsdcMint);
-    const payTo = new PublicKey(invoice.payTo);
-    const amount = BigInt(invoice.maxAmountRequired);
-
-    // Build transaction
-    const tx = await buildExactPaymentTx({
-      connection: this.paymentManager.connection,
-      payerPublicKey: this.wallet.publicKey,
-      feePayerPublicKey: feePayer,
-      recipientPublicKey: payTo,
-      mintPublicKey: mint,
-      amountAtomic: amount,
-      createRecipientATAIfMissing: true,
-    });
-
-    tx.sign([this.wallet]);
-    const b64 = Buffer.from(tx.serialize({ requireAllSignatures: false })).toString('base64');
-
-    const x402 = {
-      x402Version: 1,
-      scheme: 'exact',
-      network: 'solana',
-      payload: { transaction: b64 }
-    };
-    const XPAYMENT = Buffer.from(JSON.stringify(x402)).toString('base64');
-
-    return XPAYMENT;
+  _paymentNetwork() {
+    return PAYMENT_NETWORKS[this.network] || this.network;
   }
 
   /**
@@ -175,16 +166,18 @@ export class DiffbotClient {
   async _getExtraction(extractionType, url, paymentHeader) {
     const endpoint = `${this.baseUrl}/diffbot/${extractionType}`;
     const urlParam = encodeURIComponent(url);
-    const { status, json } = await httpPost(`${endpoint}?url=${urlParam}&network=${this.network}`, {
+    const { status, json, headers } = await httpPost(`${endpoint}?url=${urlParam}&network=${this.network}`, {
       headers: { 'X-PAYMENT': paymentHeader }
     });
 
     if (status !== 200) {
-      const errorMsg = typeof json === 'string' ? json : JSON.stringify(json);
-      throw new Error(`Extraction failed (${status}): ${errorMsg}`);
+      throw toResponseError(
+        { endpoint: `/diffbot/${extractionType}`, status, body: json, url },
+        { paid: true, fallback: ExtractionError }
+      );
     }
 
-    return json;
+    return { result: json, settlement: decodePaymentResponse(headers) };
   }
 
   /**
@@ -201,7 +194,7 @@ export class DiffbotClient {
     const results = [];
     for (let i = 0; i < urls.length; i++) {
       const url = urls[i];
-      console.log(`\n[${i + 1}/${urls.length}] Processing: ${url}`);
+      this.logger.info('Processing batch URL', { url, index: i + 1, total: urls.length });
       
       try {
         let result;
@@ -223,8 +216,15 @@ export class DiffbotClient {
         }
         results.push({ url, success: true, data: result });
       } catch (error) {
-        console.error(`❌ Failed to extract ${url}:`, error.message);
         results.push({ url, success: false, error: error.message });
+
+        // No point paying for the rest once a spending limit is hit or the wallet is empty
+        if (error instanceof BudgetExceededError || error instanceof InsufficientFundsError) {
+          urls.slice(i + 1).forEach(skipped => {
+            results.push({ url: skipped, success: false, error: error.message, skipped: true });
+          });
+          break;
+        }
       }
     }
 
@@ -232,31 +232,37 @@ export class DiffbotClient {
   }
 
   /**
-   * Event emitter methods
+   * Wallet balance of the payment asset on the configured network
+   * @returns {Promise<{ network, asset, payer, amount }>}
    */
-  on(event, handler) {
-    if (!this.eventHandlers[event]) {
-      this.eventHandlers[event] = [];
-    }
-    this.eventHandlers[event].push(handler);
+  async getBalance() {
+    return this.paymentManager.getBalance({ network: this._paymentNetwork() });
   }
 
-  off(event, handler) {
-    if (this.eventHandlers[event]) {
-      this.eventHandlers[event] = this.eventHandlers[event].filter(h => h !== handler);
-    }
+  /**
+   * Whether the wallet can pay an invoice
+   */
+  async canAfford(invoice) {
+    return this.paymentManager.canAfford(invoice);
   }
 
-  emit(event, data) {
-    if (this.eventHandlers[event]) {
-      this.eventHandlers[event].forEach(handler => {
-        try {
-          handler(data);
-        } catch (error) {
-          console.error(`Error in event handler for ${event}:`, error);
-        }
-      });
+  /**
+   * Balance and how many more extractions of each type it pays for. Prices
+   * are the last ones paid, or current ones when `url` is given (an invoice
+   * is requested per type; requesting one is free).
+   * @returns {Promise<{ network, asset, payer, amount, prices, extractionsRemaining }>}
+   */
+  async getWalletHealth({ url } = {}) {
+    const balance = await this.getBalance();
+    const prices = {};
+    const extractionsRemaining = {};
+    for (const type of EXTRACTION_TYPES) {
+      prices[type] = url
+        ? BigInt((await this._getInvoice(type, url)).maxAmountRequired)
+        : this.paymentManager.walletMonitor.getPrice(`/diffbot/${type}`);
+      extractionsRemaining[type] = this.paymentManager.walletMonitor.estimateRemaining(balance, prices[type]);
     }
+    return { ...balance, prices, extractionsRemaining };
   }
 }
 
@@ -0,0 +1,234 @@
+/**
+ * Error types raised by the SDK
+ */
+
+export class Bridge402Error extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * None of the payment options offered in an invoice can be used
+ */
+export class NoPaymentOptionError extends Bridge402Error {
+  constructor(options, rejections = []) {
+    const lines = rejections.map(({ option, reason }) =>
+      `  - ${option.scheme || 'exact'}/${option.network || '?'} ${option.maxAmountRequired} of ${option.asset || '?'}: ${reason}`
+    );
+    const summary = options.length === 0 ? 'Invoice offered no payment options' : 'No acceptable payment option in invoice';
+    super(lines.length ? `${summary}:\n${lines.join('\n')}` : summary, { options, rejections, retryable: false });
+  }
+}
+
+/**
+ * A payment would exceed a configured spending limit
+ */
+export class BudgetExceededError extends Bridge402Error {
+  constructor({ limit, cap, amount, projected, ...details }) {
+    const message = limit === 'maxPerPayment'
+      ? `Spending limit maxPerPayment exceeded: payment of ${amount} is above cap ${cap}`
+      : `Spending limit ${limit} exceeded: payment of ${amount} would bring spend to ${projected} (cap ${cap})`;
+    super(message, {
+      limit,
+      cap,
+      amount,
+      projected,
+      retryable: false,
+      ...details
+    });
+  }
+}
+
+/**
+ * An invoice failed verification and was not paid
+ */
+export class InvoiceValidationError extends Bridge402Error {
+  constructor(invoice, reasons) {
+    super(`Invoice rejected: ${reasons.join('; ')}`, { invoice, reasons, retryable: false });
+  }
+}
+
+/**
+ * A stream payload does not match any known message shape
+ */
+export class MessageValidationError extends Bridge402Error {
+  constructor(raw, reasons) {
+    super(`Invalid stream message: ${reasons.join('; ')}`, { raw, reasons });
+  }
+}
+
+/**
+ * A destination did not accept a delivery
+ */
+export class DeliveryError extends Bridge402Error {
+  constructor(destination, status, body, headers = {}) {
+    super(`${destination} returned ${status}: ${typeof body === 'string' ? body : JSON.stringify(body)}`, {
+      destination,
+      status,
+      body,
+      headers
+    });
+  }
+}
+
+/**
+ * waitFor() gave up before the event was emitted
+ */
+export class EventTimeoutError extends Bridge402Error {
+  constructor(event, timeout) {
+    super(`Timed out after ${timeout}ms waiting for "${event}"`, { event, timeout });
+  }
+}
+
+// x402 error codes (`error` in a 402 body, or the facilitator's
+// `invalidReason` / `errorReason`) that name a cause. Other codes mean the
+// payment itself was refused.
+const X402_ERRORS = {
+  insufficient_funds: details => new InsufficientFundsError(details),
+  unexpected_verify_error: details => new FacilitatorUnavailableError(details),
+  unexpected_settle_error: details => new FacilitatorUnavailableError(details)
+};
+
+// Fallback for unpaid requests answered with a bare message instead of a code
+const INSUFFICIENT_FUNDS = /insufficient (funds|balance)/i;
+const SESSION_REJECTED = /session (expired|not found|invalid)|invalid (session|token)|token expired/i;
+
+/**
+ * A Bridge402 or facilitator request failed
+ *
+ * `status` and `body` are the HTTP response (when there was one), `endpoint`
+ * the path called and `retryable` whether trying again may succeed.
+ */
+export class RequestError extends Bridge402Error {
+  constructor(summary, { message, endpoint, status, body, retryable = false, ...details } = {}) {
+    super(message || describeFailure(summary, endpoint, status, body), {
+      endpoint,
+      status,
+      body,
+      retryable,
+      ...details
+    });
+  }
+}
+
+/**
+ * Asking for an invoice did not return a 402
+ */
+export class InvoiceError extends RequestError {
+  constructor(details = {}) {
+    super('Invoice request failed', { retryable: isTransient(details.status), ...details });
+  }
+}
+
+/**
+ * The server refused a signed payment
+ */
+export class PaymentRejectedError extends RequestError {
+  constructor(details = {}) {
+    super('Payment rejected', details);
+  }
+}
+
+/**
+ * The facilitator could not verify or settle a payment; usually transient
+ */
+export class FacilitatorUnavailableError extends RequestError {
+  constructor(details = {}) {
+    super('Facilitator unavailable', { retryable: true, ...details });
+  }
+}
+
+/**
+ * The paying wallet cannot cover a payment
+ */
+export class InsufficientFundsError extends RequestError {
+  constructor({ required, available, asset, ...details } = {}) {
+    const summary = required !== undefined && available !== undefined
+      ? `Insufficient funds: ${available} of ${asset || 'the payment asset'} available, ${required} required`
+      : 'Insufficient funds';
+    super(summary, { required, available, asset, ...details });
+  }
+}
+
+/**
+ * The session token was rejected: expired, unknown or revoked
+ */
+export class SessionExpiredError extends RequestError {
+  constructor(details = {}) {
+    super('Session expired', details);
+  }
+}
+
+/**
+ * Diffbot extraction failed after the invoice was fetched
+ */
+export class ExtractionError extends RequestError {
+  constructor(details = {}) {
+    super('Extraction failed', { retryable: isTransient(details.status), ...details });
+  }
+}
+
+/**
+ * Turn a failed Bridge402 response into the most specific error
+ *
+ * Classified by the x402 error code in the body, then by HTTP status. The
+ * message text is only consulted for unpaid requests without a code, so it
+ * can never make a refused payment look retryable.
+ * @param {Object} details - { endpoint, status, body, ... }
+ * @param {Object} options
+ * @param {boolean} options.paid - The request carried a payment
+ * @param {boolean} options.session - The request carried a session token
+ * @param {Function} options.fallback - Error class when nothing more specific applies
+ */
+export function toResponseError(details, { paid = false, session = false, fallback } = {}) {
+  const { status, body } = details;
+  const code = errorCode(body);
+  if (X402_ERRORS[code]) {
+    return X402_ERRORS[code](details);
+  }
+  if (session && [401, 403, 410].includes(status)) {
+    return new SessionExpiredError(details);
+  }
+  if (paid) {
+    // A code, or a 402, in answer to a payment means it was not accepted
+    if (code || status === 402) {
+      return new PaymentRejectedError(details);
+    }
+    if (fallback) {
+      return new fallback(details);
+    }
+    return status >= 500 ? new FacilitatorUnavailableError(details) : new PaymentRejectedError(details);
+  }
+  if (!code) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body ?? '');
+    if (INSUFFICIENT_FUNDS.test(text)) {
+      return new InsufficientFundsError(details);
+    }
+    if (session && SESSION_REJECTED.test(text)) {
+      return new SessionExpiredError(details);
+    }
+  }
+  return fallback ? new fallback(details) : new InvoiceError(details);
+}
+
+// x402 bodies carry snake_case codes; anything else is a human-readable message
+function errorCode(body) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+  const code = [body.error, body.invalidReason, body.errorReason].find(value => typeof value === 'string');
+  return code && /^[a-z][a-z0-9_]*$/.test(code) ? code : null;
+}
+
+function isTransient(status) {
+  return status === undefined || status >= 500 || [408, 425, 429].includes(status);
+}
+
+function describeFailure(summary, endpoint, status, body) {
+  const where = [endpoint, status].filter(part => part !== undefined && part !== null).join(' ');
+  const text = body === undefined || body === null || body === '' ? '' : `: ${typeof body === 'string' ? body : JSON.stringify(body)}`;
+  return `${summary}${where ? ` (${where})` : ''}${text}`;
+}
@@ -0,0 +1,125 @@
+/**
+ * Event emitter shared by the clients and the WebSocket manager
+ */
+
+import { EventEmitter } from 'events';
+import { EventTimeoutError } from './errors.js';
+import { resolveLogger } from './logger.js';
+
+/**
+ * Listen with this name to receive every event as (event, ...args)
+ */
+export const WILDCARD = '*';
+
+/**
+ * Node EventEmitter with a few additions:
+ * - events are declared up front; listening for an unknown name warns once,
+ *   which catches typos like on('mesage')
+ * - '*' listeners receive every event as (event, ...args)
+ * - a listener that throws or returns a rejected promise does not break the
+ *   emitter; the error is re-emitted as 'error' (or logged if nobody listens)
+ * - emitting 'error' without listeners is a no-op instead of a throw
+ * - waitFor(event, timeout) resolves with the next event's payload
+ */
+export class TypedEmitter extends EventEmitter {
+  /**
+   * @param {string[]} events - Event names this emitter emits
+   * @param {Object} options
+   * @param {Object|string|false} options.logger - See resolveLogger()
+   */
+  constructor(events = [], { logger } = {}) {
+    super();
+    this.logger = resolveLogger(logger);
+    this.knownEvents = new Set([...events, 'error', WILDCARD]);
+    this.warnedEvents = new Set();
+  }
+
+  on(event, listener) {
+    this.checkEvent(event);
+    return super.on(event, listener);
+  }
+
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  prependListener(event, listener) {
+    this.checkEvent(event);
+    return super.prependListener(event, listener);
+  }
+
+  emit(event, ...args) {
+    const listeners = this.rawListeners(event);
+    const wildcard = event === WILDCARD ? [] : this.rawListeners(WILDCARD);
+    listeners.forEach(listener => this.invoke(event, listener, args));
+    wildcard.forEach(listener => this.invoke(event, listener, [event, ...args]));
+    return listeners.length + wildcard.length > 0;
+  }
+
+  /**
+   * Resolve with the payload of the next `event` (optionally the next one
+   * matching `filter`); reject with EventTimeoutError after `timeout` ms
+   * @param {string} event
+   * @param {number|Object} options - Timeout in ms, or { timeout, filter }
+   */
+  waitFor(event, options = {}) {
+    const { timeout, filter } = typeof options === 'number' ? { timeout: options } : options;
+    this.checkEvent(event);
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const listener = (payload, ...rest) => {
+        if (filter && !filter(payload, ...rest)) {
+          return;
+        }
+        clearTimeout(timer);
+        this.off(event, listener);
+        resolve(payload);
+      };
+      super.on(event, listener);
+
+      if (timeout) {
+        timer = setTimeout(() => {
+          this.off(event, listener);
+          reject(new EventTimeoutError(event, timeout));
+        }, timeout);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  invoke(event, listener, args) {
+    try {
+      const result = listener.apply(this, args);
+      if (result && typeof result.then === 'function') {
+        result.then(null, error => this.handleListenerError(event, error));
+      }
+    } catch (error) {
+      this.handleListenerError(event, error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleListenerError(event, error) {
+    if (event !== 'error' && this.listenerCount('error') + this.listenerCount(WILDCARD) > 0) {
+      this.emit('error', error);
+      return;
+    }
+    this.logger.error(`Error in event handler for ${event}`, { event, err: error });
+  }
+
+  /**
+   * @private
+   */
+  checkEvent(event) {
+    if (typeof event !== 'string' || this.knownEvents.has(event) || this.warnedEvents.has(event)) {
+      return;
+    }
+    this.warnedEvents.add(event);
+    this.logger.warn(`${this.constructor.name} does not emit "${event}"`, { event, knownEvents: [...this.knownEvents] });
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Declarative message filters
+ *
+ * A filter spec is a plain object. Every field that is set must match, and a
+ * list matches when any of its entries does:
+ * - coins / symbols: tickers, matched against the message's symbols
+ * - sources: article sources
+ * - types: 'twitter', 'article' or 'unknown'
+ * - keywords: words looked up in the title and text
+ * - pattern: RegExp (or regex string) tested against the title and text
+ * - maxAgeMs: drop items whose time is older than this
+ * - exclude: another spec; messages matching it are dropped
+ *
+ * String comparisons are case-insensitive. A function is used as the filter
+ * as-is.
+ */
+
+import { toNewsMessage } from './messages.js';
+
+/**
+ * Compile a filter spec into a predicate (null when the spec filters nothing)
+ */
+export function createFilter(spec) {
+  if (!spec) {
+    return null;
+  }
+  if (typeof spec === 'function') {
+    return spec;
+  }
+
+  const checks = [];
+  const coins = [...toList(spec.coins), ...toList(spec.symbols)].map(upper);
+  const sources = toList(spec.sources).map(lower);
+  const types = toList(spec.types);
+  const keywords = toList(spec.keywords).map(lower);
+
+  if (coins.length > 0) {
+    checks.push(msg => msg.symbols.some(symbol => coins.includes(upper(symbol))));
+  }
+  if (sources.length > 0) {
+    checks.push(msg => !!msg.source && sources.includes(lower(msg.source)));
+  }
+  if (types.length > 0) {
+    checks.push(msg => types.includes(msg.type));
+  }
+  if (keywords.length > 0) {
+    checks.push(msg => {
+      const text = lower(`${msg.title}\n${msg.text}`);
+      return keywords.some(keyword => text.includes(keyword));
+    });
+  }
+  if (spec.pattern) {
+    const pattern = spec.pattern instanceof RegExp ? spec.pattern : new RegExp(spec.pattern, 'i');
+    checks.push(msg => {
+      pattern.lastIndex = 0; // Global regexes are stateful
+      return pattern.test(`${msg.title}\n${msg.text}`);
+    });
+  }
+  if (spec.maxAgeMs) {
+    checks.push(msg => !msg.time || Date.now() - msg.time.getTime() <= spec.maxAgeMs);
+  }
+  if (spec.exclude) {
+    const excluded = createFilter(spec.exclude);
+    if (excluded) {
+      checks.push(msg => !excluded(msg));
+    }
+  }
+
+  if (checks.length === 0) {
+    return null;
+  }
+  return (message) => {
+    const msg = toNewsMessage(message);
+    return !!msg && checks.every(check => check(msg));
+  };
+}
+
+/**
+ * Test a message against a spec or compiled filter (no filter matches all)
+ */
+export function matchesFilter(filter, message) {
+  const predicate = typeof filter === 'function' ? filter : createFilter(filter);
+  return !predicate || !!predicate(message);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+function upper(value) {
+  return String(value).toUpperCase();
+}
+
+function lower(value) {
+  return String(value).toLowerCase();
+}
@@ -2,6 +2,8 @@
  * Base message formatter
  */
 
+import { toNewsMessage } from '../messages.js';
+
 export class MessageFormatter {
   /**
    * Format a news message
@@ -10,13 +12,42 @@ export class MessageFormatter {
     return message;
   }
 
+  /**
+   * Format several messages at once, returning one payload per group from
+   * packBatch()
+   */
+  formatBatch(messages) {
+    return this.packBatch(messages).map(group => this.formatGroup(group));
+  }
+
+  /**
+   * Split messages into groups that each fit in one payload. By default every
+   * message is its own group; formatters that can combine messages override
+   * this and formatGroup().
+   */
+  packBatch(messages) {
+    return messages.map(message => [message]);
+  }
+
+  /**
+   * Format one group from packBatch() as a single payload
+   */
+  formatGroup(group) {
+    return this.format(group[0]);
+  }
+
+  /**
+   * Typed view of a message (raw stream objects are parsed)
+   */
+  normalize(message) {
+    return toNewsMessage(message);
+  }
+
   /**
    * Determine message type
    */
   getMessageType(message) {
-    if ('body' in message) return 'twitter';
-    if ('source' in message) return 'article';
-    return 'unknown';
+    return this.normalize(message)?.type || 'unknown';
   }
 }
 
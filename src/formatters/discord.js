@@ -4,28 +4,29 @@
 
 import { MessageFormatter } from './base.js';
 
+// Discord limits per webhook message
+const MAX_EMBEDS = 10;
+const MAX_EMBED_CHARS = 6000;
+
 export class DiscordFormatter extends MessageFormatter {
   /**
    * Format message as Discord embed
    */
-  format(message) {
+  format(raw) {
+    const message = this.normalize(raw) || {};
     const title = message.title || 'Bridge402 News';
-    const timeMs = message.time;
-    const url = message.url || message.link || '';
+    const url = message.url || '';
     
-    const isTwitter = 'body' in message;
-    const isArticle = 'source' in message;
+    const isTwitter = message.type === 'twitter';
+    const isArticle = message.type === 'article';
     
     // Format timestamp
-    let timestamp = null;
-    if (timeMs) {
-      timestamp = new Date(timeMs).toISOString();
-    }
+    const timestamp = message.time ? message.time.toISOString() : null;
     
     // Build description
     let description = '';
     if (isTwitter) {
-      const body = message.body || '';
+      const body = message.body;
       description = body.length > 2000 ? body.substring(0, 2000) : body;
     } else if (isArticle) {
       const enText = message.en || title;
@@ -50,12 +51,12 @@ export class DiscordFormatter extends MessageFormatter {
     const fields = [];
     
     if (isTwitter) {
-      const coin = message.coin || '';
+      const coin = message.coin;
       if (coin) {
         fields.push({ name: 'Coin', value: coin, inline: true });
       }
       
-      const actions = message.actions || [];
+      const actions = message.actions;
       if (actions.length > 0) {
         let actionText = actions.slice(0, 3).map(a => `• ${a.title || a.action || ''}`).join('\n');
         if (actions.length > 3) {
@@ -64,8 +65,8 @@ export class DiscordFormatter extends MessageFormatter {
         fields.push({ name: 'Trading Actions', value: actionText, inline: false });
       }
       
-      const iconUrl = message.icon || '';
-      const imageUrl = message.image || '';
+      const iconUrl = message.icon;
+      const imageUrl = message.image;
       if (iconUrl) {
         embed.thumbnail = { url: iconUrl };
       }
@@ -73,12 +74,12 @@ export class DiscordFormatter extends MessageFormatter {
         embed.image = { url: imageUrl };
       }
     } else if (isArticle) {
-      const source = message.source || '';
+      const source = message.source;
       if (source) {
         fields.push({ name: 'Source', value: source, inline: true });
       }
       
-      const symbols = message.symbols || [];
+      const symbols = message.symbols;
       if (symbols.length > 0) {
         let symbolsText = symbols.slice(0, 5).join(', ');
         if (symbols.length > 5) {
@@ -96,7 +97,47 @@ export class DiscordFormatter extends MessageFormatter {
       embeds: [embed]
     };
   }
+  
+  /**
+   * Greedily pack messages into groups of at most 10 embeds and 6000
+   * characters (Discord's per-message limits)
+   */
+  packBatch(messages) {
+    const groups = [];
+    let group = [];
+    let chars = 0;
+    
+    for (const message of messages) {
+      const size = embedLength(this.format(message).embeds[0]);
+      if (group.length > 0 && (group.length >= MAX_EMBEDS || chars + size > MAX_EMBED_CHARS)) {
+        groups.push(group);
+        group = [];
+        chars = 0;
+      }
+      group.push(message);
+      chars += size;
+    }
+    if (group.length > 0) {
+      groups.push(group);
+    }
+    return groups;
+  }
+  
+  /**
+   * Format a group as one message with several embeds
+   */
+  formatGroup(group) {
+    return {
+      embeds: group.map(message => this.format(message).embeds[0])
+    };
+  }
 }
 
-
-
+// Characters Discord counts towards the total embed limit
+function embedLength(embed) {
+  let length = (embed.title || '').length + (embed.description || '').length + (embed.footer?.text || '').length;
+  (embed.fields || []).forEach(field => {
+    length += field.name.length + field.value.length;
+  });
+  return length;
+}
@@ -0,0 +1,111 @@
+/**
+ * Slack message formatter (Block Kit)
+ */
+
+import { MessageFormatter } from './base.js';
+
+// Slack Block Kit limits
+const HEADER_MAX = 150;
+const SECTION_MAX = 3000;
+const FALLBACK_MAX = 3000;
+
+export class SlackFormatter extends MessageFormatter {
+  /**
+   * Format message as a Slack incoming-webhook payload
+   */
+  format(raw) {
+    const message = this.normalize(raw) || {};
+    const title = message.title || 'Bridge402 News';
+    const url = message.url || '';
+
+    const isTwitter = message.type === 'twitter';
+    const isArticle = message.type === 'article';
+
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: truncate(title, HEADER_MAX), emoji: true }
+      }
+    ];
+
+    // Body text
+    let text = '';
+    if (isTwitter) {
+      text = message.body;
+    } else if (isArticle) {
+      text = message.en || '';
+    }
+
+    const link = url ? `\n\n<${url}|View Original>` : '';
+    if (text || link) {
+      const section = {
+        type: 'section',
+        text: { type: 'mrkdwn', text: truncateMrkdwn(escape(text), SECTION_MAX - link.length) + link }
+      };
+      if (isTwitter && message.icon) {
+        section.accessory = { type: 'image', image_url: message.icon, alt_text: truncate(title, 2000) };
+      }
+      blocks.push(section);
+    }
+
+    // Trading actions
+    const actions = isTwitter ? message.actions : [];
+    if (actions.length > 0) {
+      let actionText = actions.slice(0, 3).map(a => `• ${escape(a.title || a.action || '')}`).join('\n');
+      if (actions.length > 3) {
+        actionText += `\n_+${actions.length - 3} more_`;
+      }
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: truncateMrkdwn(`*Trading Actions*\n${actionText}`, SECTION_MAX) }
+      });
+    }
+
+    if (isTwitter && message.image) {
+      blocks.push({ type: 'image', image_url: message.image, alt_text: truncate(title, 2000) });
+    }
+
+    // Context line: source, coin/symbols, time
+    const context = [];
+    if (isArticle && message.source) {
+      context.push(`*Source:* ${escape(message.source)}`);
+    }
+    if (isTwitter && message.coin) {
+      context.push(`*Coin:* ${escape(message.coin)}`);
+    } else if (isArticle && message.symbols.length > 0) {
+      let symbolsText = message.symbols.slice(0, 5).join(', ');
+      if (message.symbols.length > 5) {
+        symbolsText += ` +${message.symbols.length - 5} more`;
+      }
+      context.push(`*Symbols:* ${escape(symbolsText)}`);
+    }
+    if (message.time) {
+      const seconds = Math.floor(message.time.getTime() / 1000);
+      context.push(`<!date^${seconds}^{date_short_pretty} {time}|${message.time.toISOString()}>`);
+    }
+    context.push('Bridge402 News Stream');
+    blocks.push({
+      type: 'context',
+      elements: context.map(item => ({ type: 'mrkdwn', text: item }))
+    });
+
+    return {
+      text: truncateMrkdwn(escape(text ? `${title}: ${text}` : title), FALLBACK_MAX), // Notification fallback
+      blocks
+    };
+  }
+}
+
+// Slack mrkdwn control characters
+function escape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+}
+
+// Never cut an escape sequence in half
+function truncateMrkdwn(text, max) {
+  return text.length > max ? `${text.substring(0, max - 1).replace(/&[a-z]*$/, '')}…` : text;
+}
@@ -0,0 +1,118 @@
+/**
+ * Telegram message formatter (Bot API HTML or MarkdownV2)
+ */
+
+import { MessageFormatter } from './base.js';
+
+// Telegram limits, counted on the visible text
+const TEXT_MAX = 4096;
+const CAPTION_MAX = 1024;
+const TITLE_MAX = 256;
+
+export class TelegramFormatter extends MessageFormatter {
+  /**
+   * @param {Object} options
+   * @param {string} options.parseMode - 'HTML' (default) or 'MarkdownV2'
+   * @param {boolean} options.photos - Send tweet images with sendPhoto (default: true)
+   */
+  constructor({ parseMode = 'HTML', photos = true } = {}) {
+    super();
+    if (parseMode !== 'HTML' && parseMode !== 'MarkdownV2') {
+      throw new Error(`Unsupported Telegram parse mode: ${parseMode}`);
+    }
+    this.parseMode = parseMode;
+    this.photos = photos;
+  }
+
+  /**
+   * Format message as Bot API call: { method, ...params } (chat_id is added
+   * by the destination)
+   */
+  format(raw) {
+    const message = this.normalize(raw) || {};
+    const title = truncate(message.title || 'Bridge402 News', TITLE_MAX);
+    const url = message.url || '';
+
+    const isTwitter = message.type === 'twitter';
+    const isArticle = message.type === 'article';
+    const photo = this.photos && isTwitter ? message.image : null;
+
+    let body = '';
+    if (isTwitter) {
+      body = message.body;
+    } else if (isArticle) {
+      body = message.en || '';
+    }
+
+    // Footer lines
+    const details = [];
+    if (isArticle && message.source) {
+      details.push(['Source', message.source]);
+    }
+    if (isTwitter && message.coin) {
+      details.push(['Coin', message.coin]);
+    } else if (isArticle && message.symbols.length > 0) {
+      details.push(['Symbols', message.symbols.slice(0, 5).join(', ') + (message.symbols.length > 5 ? ` +${message.symbols.length - 5} more` : '')]);
+    }
+    const actions = isTwitter ? message.actions : [];
+    if (actions.length > 0) {
+      const listed = actions.slice(0, 3).map(a => a.title || a.action || '').join(', ');
+      details.push(['Actions', listed + (actions.length > 3 ? ` +${actions.length - 3} more` : '')]);
+    }
+
+    // Trim the body so the visible text fits the limit
+    const limit = photo ? CAPTION_MAX : TEXT_MAX;
+    const fixed = title.length + details.reduce((sum, [name, value]) => sum + name.length + value.length + 3, 0)
+      + (url ? 'View Original'.length + 2 : 0) + 4;
+    body = truncate(body, Math.max(0, limit - fixed));
+
+    const parts = [this.bold(title)];
+    if (body) {
+      parts.push(this.escape(body));
+    }
+    const footer = details.map(([name, value]) => `${this.bold(`${name}:`)} ${this.escape(value)}`);
+    if (url) {
+      footer.push(this.link('View Original', url));
+    }
+    if (footer.length > 0) {
+      parts.push(footer.join('\n'));
+    }
+    const text = parts.join('\n\n');
+
+    if (photo) {
+      return { method: 'sendPhoto', photo, caption: text, parse_mode: this.parseMode };
+    }
+    return { method: 'sendMessage', text, parse_mode: this.parseMode, disable_web_page_preview: !url };
+  }
+
+  /**
+   * Escape text for the configured parse mode
+   */
+  escape(text) {
+    if (this.parseMode === 'HTML') {
+      return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    return String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+  }
+
+  /**
+   * @private
+   */
+  bold(text) {
+    return this.parseMode === 'HTML' ? `<b>${this.escape(text)}</b>` : `*${this.escape(text)}*`;
+  }
+
+  /**
+   * @private
+   */
+  link(label, url) {
+    if (this.parseMode === 'HTML') {
+      return `<a href="${url.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">${this.escape(label)}</a>`;
+    }
+    return `[${this.escape(label)}](${url.replace(/[)\\]/g, '\\$&')})`;
+  }
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+}
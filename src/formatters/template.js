@@ -0,0 +1,276 @@
+/**
+ * Template-driven formatter for arbitrary JSON webhooks
+ */
+
+import { MessageFormatter } from './base.js';
+
+const TAG = /\{\{\s*([#/]?)\s*(.*?)\s*\}\}/g;
+
+/**
+ * Filters usable in placeholders: {{ value | name arg ... }}
+ */
+const FILTERS = {
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.join(separator) : value),
+  iso: (value) => toDate(value)?.toISOString() ?? '',
+  unix: (value) => {
+    const date = toDate(value);
+    return date ? Math.floor(date.getTime() / 1000) : '';
+  },
+  date: (value, locale = 'en-US') => toDate(value)?.toLocaleString(locale, { timeZone: 'UTC' }) ?? '',
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  truncate: (value, length = 100) => {
+    const text = String(value ?? '');
+    return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+  },
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value),
+  first: (value) => (Array.isArray(value) ? value[0] : value),
+  count: (value) => (Array.isArray(value) ? value.length : 0),
+  json: (value) => JSON.stringify(value ?? null),
+  urlencode: (value) => encodeURIComponent(String(value ?? ''))
+};
+
+/**
+ * Builds payloads from a JSON template instead of code
+ *
+ * Every string in the template may contain placeholders:
+ * - `{{title}}`, `{{raw.coin}}` - message fields (see ../messages.js)
+ * - `{{symbols | join ", "}}`, `{{time | iso}}`, `{{text | truncate 200}}` - filters
+ * - `{{#if type == "twitter"}}...{{else}}...{{/if}}` - conditionals
+ *
+ * A string that is a single placeholder keeps the value's type, so
+ * `"{{symbols}}"` renders as an array. `templates` can hold a separate
+ * template per message type ('twitter', 'article', 'unknown').
+ */
+export class TemplateFormatter extends MessageFormatter {
+  /**
+   * @param {Object} options
+   * @param {Object|string} options.template - Template object or JSON string
+   * @param {Object} options.templates - Per-type templates, overriding `template`
+   * @param {Object} options.filters - Extra filters: { name: (value, ...args) => result }
+   */
+  constructor({ template, templates = {}, filters = {} } = {}) {
+    super();
+    this.filters = { ...FILTERS, ...filters };
+    this.templates = {};
+    Object.entries({ default: template, ...templates }).forEach(([type, value]) => {
+      if (value !== undefined && value !== null) {
+        this.templates[type] = compileValue(typeof value === 'string' ? JSON.parse(value) : value, this.filters);
+      }
+    });
+    if (Object.keys(this.templates).length === 0) {
+      throw new Error('TemplateFormatter requires a template');
+    }
+  }
+
+  /**
+   * Render the template for a message
+   */
+  format(raw) {
+    const message = this.normalize(raw) || { type: 'unknown', raw };
+    const template = this.templates[message.type] || this.templates.default;
+    if (!template) {
+      return null;
+    }
+    return template(message);
+  }
+}
+
+/**
+ * Compile a template value (object, array or string) into a render function
+ */
+function compileValue(value, filters) {
+  if (Array.isArray(value)) {
+    const items = value.map(item => compileValue(item, filters));
+    return (message) => items.map(render => render(message));
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) => [key, compileValue(item, filters)]);
+    return (message) => Object.fromEntries(entries.map(([key, render]) => [key, render(message)]));
+  }
+  if (typeof value === 'string') {
+    return compileString(value, filters);
+  }
+  return () => value;
+}
+
+/**
+ * @private
+ */
+function compileString(source, filters) {
+  // A lone placeholder keeps the type of its value
+  const single = source.match(/^\{\{\s*([^#/](?:(?!\{\{|\}\}).)*?)\s*\}\}$/);
+  if (single && single[1] !== 'else') {
+    const expr = compileExpression(single[1], filters);
+    return (message) => expr(message);
+  }
+
+  const nodes = parse(source, filters);
+  return (message) => renderNodes(nodes, message);
+}
+
+/**
+ * Parse a string into text, expression and if/else nodes
+ * @private
+ */
+function parse(source, filters) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const [tag, marker, body] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > last) {
+      current.children.push({ text: source.slice(last, match.index) });
+    }
+    last = match.index + tag.length;
+
+    if (marker === '#') {
+      const [, keyword, condition] = body.match(/^(\w+)\s*(.*)$/) || [];
+      if (keyword !== 'if' || !condition) {
+        throw new Error(`Unsupported template block: ${tag}`);
+      }
+      const node = { test: compileCondition(condition, filters), whenTrue: [], whenFalse: [] };
+      node.children = node.whenTrue;
+      current.children.push(node);
+      stack.push(node);
+    } else if (marker === '/') {
+      if (body !== 'if' || stack.length === 1) {
+        throw new Error(`Unexpected ${tag} in template`);
+      }
+      stack.pop();
+    } else if (body === 'else') {
+      if (stack.length === 1 || current.children === current.whenFalse) {
+        throw new Error('Unexpected {{else}} in template');
+      }
+      current.children = current.whenFalse;
+    } else {
+      current.children.push({ expr: compileExpression(body, filters) });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#if}} in template: ${source}`);
+  }
+  if (last < source.length) {
+    root.children.push({ text: source.slice(last) });
+  }
+  return root.children;
+}
+
+/**
+ * @private
+ */
+function renderNodes(nodes, message) {
+  return nodes.map(node => {
+    if (node.text !== undefined) {
+      return node.text;
+    }
+    if (node.expr) {
+      return stringify(node.expr(message));
+    }
+    return renderNodes(node.test(message) ? node.whenTrue : node.whenFalse, message);
+  }).join('');
+}
+
+/**
+ * `path`, `path == "value"` or `path != "value"`
+ * @private
+ */
+function compileCondition(condition, filters) {
+  const comparison = condition.match(/^(.+?)\s*(==|!=)\s*(.+)$/);
+  if (!comparison) {
+    const expr = compileExpression(condition, filters);
+    return (message) => !isEmpty(expr(message));
+  }
+  const left = compileExpression(comparison[1], filters);
+  const right = compileExpression(comparison[3], filters);
+  const equal = comparison[2] === '==';
+  return (message) => (String(left(message)) === String(right(message))) === equal;
+}
+
+/**
+ * `path | filter arg | filter ...` where the head may also be a literal
+ * @private
+ */
+function compileExpression(source, filters) {
+  const [head, ...pipes] = splitOutsideQuotes(source, '|');
+  const getValue = compileOperand(head.trim());
+  const steps = pipes.map(pipe => {
+    const [name, ...args] = tokenize(pipe.trim());
+    const filter = filters[name];
+    if (!filter) {
+      throw new Error(`Unknown template filter "${name}"`);
+    }
+    return (value) => filter(value, ...args.map(parseLiteral));
+  });
+  return (message) => steps.reduce((value, step) => step(value), getValue(message));
+}
+
+/**
+ * @private
+ */
+function compileOperand(token) {
+  if (/^(["']).*\1$/.test(token) || /^-?\d+(\.\d+)?$/.test(token)) {
+    const literal = parseLiteral(token);
+    return () => literal;
+  }
+  const path = token.split('.');
+  return (message) => path.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), message);
+}
+
+function splitOutsideQuotes(source, separator) {
+  const parts = [''];
+  let quote = null;
+  for (const char of source) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push('');
+      continue;
+    }
+    parts[parts.length - 1] += char;
+  }
+  return parts;
+}
+
+function tokenize(source) {
+  return source.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+}
+
+function parseLiteral(token) {
+  if (/^(["']).*\1$/.test(token)) {
+    return token.slice(1, -1);
+  }
+  const number = Number(token);
+  return Number.isNaN(number) ? token : number;
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function toDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || value === false ||
+    (Array.isArray(value) && value.length === 0);
+}
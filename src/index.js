@@ -7,6 +7,62 @@ export { Bridge402Client } from './client.js';
 export { DiffbotClient } from './diffbot.js';
 export { MessageFormatter } from './formatters/base.js';
 export { DiscordFormatter } from './formatters/discord.js';
+export { SlackFormatter } from './formatters/slack.js';
+export { TelegramFormatter } from './formatters/telegram.js';
+export { TemplateFormatter } from './formatters/template.js';
+export {
+  NewsMessage,
+  TwitterNews,
+  ArticleNews,
+  SystemMessage,
+  parseMessage
+} from './messages.js';
+export {
+  PaymentSchemeRegistry,
+  createDefaultRegistry,
+  encodePaymentHeader,
+  exactSolanaScheme,
+  exactEvmScheme
+} from './schemes/index.js';
+export { selectPaymentRequirement, listPaymentOptions } from './utils/selection.js';
+export { SpendingBudget } from './budget.js';
+export { WalletMonitor } from './wallet.js';
+export { InvoiceValidator } from './validation.js';
+export { MessageDeduplicator, messageIdentity } from './dedup.js';
+export { createFilter, matchesFilter } from './filters.js';
+export { MessageSubscription } from './stream.js';
+export { TypedEmitter } from './events.js';
+export { Logger, createConsoleLogger } from './logger.js';
+export {
+  Destination,
+  WebhookDestination,
+  TelegramDestination,
+  DeliveryQueue
+} from './destinations/index.js';
+export { MemoryStore, JsonFileStore } from './stores/index.js';
+export {
+  ReceiptLedger,
+  MemoryReceiptStore,
+  JsonlReceiptStore,
+  SqliteReceiptStore
+} from './receipts/index.js';
+export { KeypairSigner, RemoteSigner, createSignerServer, toSigner } from './signers/index.js';
+export {
+  Bridge402Error,
+  NoPaymentOptionError,
+  BudgetExceededError,
+  InvoiceValidationError,
+  MessageValidationError,
+  DeliveryError,
+  EventTimeoutError,
+  RequestError,
+  InvoiceError,
+  PaymentRejectedError,
+  FacilitatorUnavailableError,
+  InsufficientFundsError,
+  SessionExpiredError,
+  ExtractionError
+} from './errors.js';
 
 
 
@@ -0,0 +1,122 @@
+/**
+ * Leveled, structured logging
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const ICONS = {
+  debug: '🔹',
+  info: 'ℹ️ ',
+  warn: '⚠️ ',
+  error: '❌'
+};
+
+/**
+ * What the SDK logs through: `logger.info(message, fields)`
+ *
+ * Wraps any logger with debug/info/warn/error methods. pino and bunyan take
+ * `(fields, message)`; winston (recognised by its `add`/`log` methods) takes
+ * `(message, fields)`. Levels the target lacks fall back to `info`.
+ */
+export class Logger {
+  /**
+   * @param {Object|null} target - pino/winston/bunyan-style logger; null logs nothing
+   * @param {Object} options
+   * @param {boolean} options.messageFirst - Call target as (message, fields)
+   */
+  constructor(target, { messageFirst = isWinston(target) } = {}) {
+    this.target = target;
+    this.messageFirst = messageFirst;
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * @private
+   */
+  log(level, message, fields = {}) {
+    if (!this.target) {
+      return;
+    }
+    const method = typeof this.target[level] === 'function' ? level : 'info';
+    if (typeof this.target[method] !== 'function') {
+      return;
+    }
+    const clean = compact(fields);
+    if (this.messageFirst) {
+      this.target[method](message, clean);
+    } else {
+      this.target[method](clean, message);
+    }
+  }
+}
+
+/**
+ * Human-readable console output: `⚠️  Extend attempt failed (attempt=1, err=...)`
+ * @param {Object} options
+ * @param {string} options.level - Lowest level printed (default: 'info')
+ */
+export function createConsoleLogger({ level = 'info' } = {}) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}" (use ${LEVELS.join(', ')})`);
+  }
+  const minimum = LEVELS.indexOf(level);
+  const target = {};
+  LEVELS.forEach((name, index) => {
+    const write = name === 'error' ? console.error : name === 'warn' ? console.warn : console.log;
+    target[name] = index < minimum
+      ? () => {}
+      : (message, fields) => write(`${ICONS[name]} ${message}${formatFields(fields)}`);
+  });
+  return new Logger(target, { messageFirst: true });
+}
+
+/**
+ * Accept a Logger, a pino/winston/bunyan-style logger, a console log level
+ * ('debug', 'info', ...) or false to log nothing. Default: console at 'info'.
+ */
+export function resolveLogger(logger) {
+  if (logger instanceof Logger) {
+    return logger;
+  }
+  if (logger === undefined || logger === true) {
+    return createConsoleLogger();
+  }
+  if (typeof logger === 'string') {
+    return createConsoleLogger({ level: logger });
+  }
+  return new Logger(logger || null);
+}
+
+function isWinston(target) {
+  return !!target && typeof target.add === 'function' && typeof target.log === 'function';
+}
+
+// Drop undefined fields so they do not show up as `key=undefined` or `"key":null`
+function compact(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+function formatFields(fields = {}) {
+  const entries = Object.entries(fields).map(([key, value]) => {
+    if (value instanceof Error) {
+      return `${key}=${value.message}`;
+    }
+    return `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`;
+  });
+  return entries.length > 0 ? ` (${entries.join(', ')})` : '';
+}
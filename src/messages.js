@@ -0,0 +1,197 @@
+/**
+ * Typed model for stream payloads
+ */
+
+import { MessageValidationError } from './errors.js';
+
+const SYSTEM_TYPES = ['expiry_soon', 'session_extended'];
+
+/**
+ * Base class for news items
+ *
+ * Raw fields are kept as-is on the instance (so `msg.title`, `msg.coin` still
+ * work) and the normalized fields below are set on top. Raw fields named like
+ * a class member (`text`, `toJSON`, ...) are only reachable through `raw`,
+ * which holds the original payload and is what JSON.stringify() produces.
+ */
+export class NewsMessage {
+  constructor(raw) {
+    copyRawFields(this, raw);
+    Object.defineProperty(this, 'raw', { value: raw, enumerable: false });
+
+    this.type = 'unknown';
+    this.id = raw._id ?? raw.id ?? null;
+    this.title = raw.title || '';
+    this.time = parseTime(raw.time);
+    this.url = raw.url || raw.link || null;
+    this.actions = raw.actions || [];
+    this.symbols = raw.symbols || [];
+  }
+
+  /**
+   * Main text of the item
+   */
+  get text() {
+    return this.title;
+  }
+
+  toJSON() {
+    return this.raw;
+  }
+}
+
+/**
+ * Post from Twitter/X (`body`, `coin`, `icon`, `image`, `actions`)
+ */
+export class TwitterNews extends NewsMessage {
+  constructor(raw) {
+    super(raw);
+    this.type = 'twitter';
+    this.body = raw.body || '';
+    this.coin = raw.coin || null;
+    this.icon = raw.icon || null;
+    this.image = raw.image || null;
+    this.symbols = raw.symbols || (this.coin ? [this.coin] : []);
+  }
+
+  get text() {
+    return this.body || this.title;
+  }
+}
+
+/**
+ * News article (`source`, `en`, `symbols`)
+ */
+export class ArticleNews extends NewsMessage {
+  constructor(raw) {
+    super(raw);
+    this.type = 'article';
+    this.source = raw.source || '';
+    this.en = raw.en || '';
+    this.coin = raw.coin || this.symbols[0] || null;
+  }
+
+  get text() {
+    return this.en || this.title;
+  }
+}
+
+/**
+ * Control message from the server (`expiry_soon`, `session_extended`,
+ * `status: 'connected'`, ...). `kind` holds the specific message type.
+ */
+export class SystemMessage {
+  constructor(raw) {
+    Object.defineProperty(this, 'raw', { value: raw, enumerable: false });
+    this.type = 'system';
+    this.kind = raw.type || (raw.status ? `status:${raw.status}` : 'unknown');
+    this.status = raw.status || null;
+    this.secondsRemaining = raw.seconds_remaining ?? null;
+  }
+
+  toJSON() {
+    return this.raw;
+  }
+}
+
+// Copy payload fields except those that would shadow (or, for getter-only
+// accessors like `text`, throw on) a member of the message class
+function copyRawFields(message, raw) {
+  const proto = Object.getPrototypeOf(message);
+  for (const [key, value] of Object.entries(raw)) {
+    if (!(key in proto)) {
+      message[key] = value;
+    }
+  }
+}
+
+/**
+ * Parse a raw stream payload into a typed message.
+ * Throws MessageValidationError when it is malformed.
+ */
+export function parseMessage(raw) {
+  if (raw instanceof NewsMessage || raw instanceof SystemMessage) {
+    return raw;
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new MessageValidationError(raw, ['payload is not an object']);
+  }
+
+  if (isSystemPayload(raw)) {
+    if (raw.type === 'expiry_soon' && typeof raw.seconds_remaining !== 'number') {
+      throw new MessageValidationError(raw, ['expiry_soon without numeric seconds_remaining']);
+    }
+    return new SystemMessage(raw);
+  }
+
+  const reasons = [];
+  expectType(raw, 'title', 'string', reasons);
+  expectType(raw, 'body', 'string', reasons);
+  expectType(raw, 'source', 'string', reasons);
+  expectType(raw, 'en', 'string', reasons);
+  expectType(raw, 'coin', 'string', reasons);
+  expectType(raw, 'url', 'string', reasons);
+  expectType(raw, 'link', 'string', reasons);
+  if (raw.symbols != null && !Array.isArray(raw.symbols)) {
+    reasons.push('symbols must be an array');
+  }
+  if (raw.actions != null && !Array.isArray(raw.actions)) {
+    reasons.push('actions must be an array');
+  }
+  if (raw.time != null && parseTime(raw.time) === null) {
+    reasons.push(`time ${JSON.stringify(raw.time)} is not a valid timestamp`);
+  }
+  if (!raw.title && !raw.body && !raw.source && !raw.url && !raw.link) {
+    reasons.push('no title, body, source or url');
+  }
+  if (reasons.length > 0) {
+    throw new MessageValidationError(raw, reasons);
+  }
+
+  if ('body' in raw) return new TwitterNews(raw);
+  if ('source' in raw) return new ArticleNews(raw);
+  return new NewsMessage(raw);
+}
+
+/**
+ * Whether a raw payload is a control message rather than a news item
+ */
+export function isSystemPayload(raw) {
+  return SYSTEM_TYPES.includes(raw?.type) || (typeof raw?.status === 'string' && !raw.title);
+}
+
+/**
+ * Like parseMessage, but returns null instead of throwing
+ */
+export function toNewsMessage(raw) {
+  try {
+    const msg = parseMessage(raw);
+    return msg instanceof NewsMessage ? msg : null;
+  } catch {
+    return null;
+  }
+}
+
+function expectType(raw, field, type, reasons) {
+  if (raw[field] != null && typeof raw[field] !== type) {
+    reasons.push(`${field} must be a ${type}`);
+  }
+}
+
+// Stream times are ms since epoch; also accept seconds and ISO strings
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  let ms;
+  if (typeof value === 'number') {
+    ms = value < 1e12 ? value * 1000 : value;
+  } else {
+    ms = Date.parse(value);
+  }
+  const date = new Date(ms);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
@@ -2,18 +2,72 @@
  * Payment manager for x402 payments
  */
 
-import { Connection, Keypair, PublicKey } from '@solana/web3.js';
-import { buildExactPaymentTx } from './utils/payment.js';
-import { httpPost, httpGet } from './utils/http.js';
+import { Connection } from '@solana/web3.js';
+import { httpPost, httpGet, decodePaymentResponse } from './utils/http.js';
+import { resolveEvmAccount, EVM_NETWORKS } from './utils/evm-payment.js';
+import { selectPaymentRequirement } from './utils/selection.js';
+import { resolveBudget } from './budget.js';
+import { resolveInvoiceValidator } from './validation.js';
+import { toSigner } from './signers/index.js';
+import { resolveReceiptLedger } from './receipts/index.js';
+import { PaymentSchemeRegistry, createDefaultRegistry } from './schemes/index.js';
+import { resolveLogger } from './logger.js';
+import { toResponseError } from './errors.js';
+import { WalletMonitor } from './wallet.js';
+
+// Query-string network names mapped to x402 network names
+export const PAYMENT_NETWORKS = {
+  sol: 'solana',
+  base: 'base',
+  'base-sepolia': 'base-sepolia'
+};
 
 export class PaymentManager {
-  constructor({ baseUrl, solanaRpc, wallet, solUsdcMint, facilitatorUrl }) {
+  constructor({ baseUrl, solanaRpc, network, wallet, evmWallet, evmRpc, solUsdcMint, facilitatorUrl, schemes, paymentPolicy, budget, invoiceValidation, receipts, logger, balanceCheck = true, balanceTimeout, lowBalance, onLowBalance }) {
     this.baseUrl = baseUrl || 'https://bridge402.tech';
     this.solanaRpc = solanaRpc || 'https://api.mainnet-beta.solana.com';
+    this.network = network || 'sol'; // Sent as ?network= to /connect and /extend
     this.wallet = wallet;
+    this.signer = toSigner(wallet); // Keypair or external Signer
+    this.evmWallet = resolveEvmAccount(evmWallet);
+    this.evmRpc = evmRpc;
+    // Registry instance, or an array of custom schemes added to the built-ins
+    this.schemes = schemes instanceof PaymentSchemeRegistry ? schemes : createDefaultRegistry(schemes);
+    this.paymentPolicy = paymentPolicy || {};
+    this.budget = resolveBudget(budget);
+    this.receipts = resolveReceiptLedger(receipts);
     this.solUsdcMint = solUsdcMint || 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
     this.facilitatorUrl = facilitatorUrl || 'https://facilitator.payai.network';
     this.connection = new Connection(this.solanaRpc, 'confirmed');
+    this.validator = resolveInvoiceValidator(invoiceValidation, { solUsdcMint: this.solUsdcMint });
+    this.logger = resolveLogger(logger);
+    // Pre-flight balance checks and low-balance warnings (see ./wallet.js)
+    this.balanceCheck = balanceCheck;
+    this.walletMonitor = new WalletMonitor({
+      schemes: this.schemes,
+      getContext: () => this._schemeContext(),
+      getPayer: (network) => this._payerAddress(network),
+      solUsdcMint: this.solUsdcMint,
+      lowBalance,
+      onLowBalance,
+      checkTimeout: balanceTimeout,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Balance of the payment asset (USDC by default) on a network
+   * @returns {Promise<{ network, asset, payer, amount }>}
+   */
+  async getBalance(options) {
+    return this.walletMonitor.getBalance(options);
+  }
+
+  /**
+   * Whether the wallet can pay an invoice
+   */
+  async canAfford(invoice) {
+    return this.walletMonitor.canAfford(invoice);
   }
 
   /**
@@ -21,22 +75,23 @@ export class PaymentManager {
    */
   async fetchSupportedFeePayer() {
     try {
-      console.log(`🔍 Fetching feePayer from facilitator: ${this.facilitatorUrl}/supported`);
-      const { status, json } = await httpGet(`${this.facilitatorUrl}/supported`);
+      const endpoint = `${this.facilitatorUrl}/supported`;
+      this.logger.debug('Fetching feePayer from facilitator', { endpoint });
+      const { status, json } = await httpGet(endpoint);
       if (status !== 200 || typeof json !== 'object') {
-        console.error(`❌ Facilitator /supported returned ${status}:`, json);
+        this.logger.error('Facilitator /supported request failed', { endpoint, status, body: json });
         return null;
       }
       const sol = (json.kinds || []).find(k => k.network === 'solana');
       const feePayer = sol?.extra?.feePayer;
       if (feePayer) {
-        console.log(`✅ Found feePayer: ${feePayer}`);
+        this.logger.debug('Found feePayer', { endpoint, feePayer });
       } else {
-        console.error('❌ feePayer not found in facilitator response:', JSON.stringify(json, null, 2));
+        this.logger.error('feePayer not found in facilitator response', { endpoint, body: json });
       }
       return feePayer || null;
     } catch (err) {
-      console.error('❌ Error fetching feePayer:', err.message);
+      this.logger.error('Error fetching feePayer', { endpoint: `${this.facilitatorUrl}/supported`, err });
       return null;
     }
   }
@@ -45,127 +100,230 @@ export class PaymentManager {
    * Get invoice for session
    */
   async getInvoice(minutes = 5) {
-    const { status, json } = await httpPost(`${this.baseUrl}/connect?duration_min=${minutes}&network=sol`);
+    const { status, json } = await httpPost(`${this.baseUrl}/connect?duration_min=${minutes}&network=${this.network}`);
     if (status !== 402) {
-      throw new Error(`Expected 402 invoice, got ${status}: ${JSON.stringify(json)}`);
+      throw toResponseError({ endpoint: '/connect', status, body: json });
     }
-    return (json.accepts && json.accepts[0]) || json;
+    const accepts = await this.selectRequirement(json);
+    return this.validateInvoice(accepts, { minutes });
   }
 
   /**
-   * Pay invoice and create session
+   * Verify a selected requirement before it is signed.
+   * Throws InvoiceValidationError when it does not match expectations.
    */
-  async payInvoice(accepts) {
-    const feePayerStr = accepts?.extra?.feePayer || process.env.SOL_FEE_PAYER || await this.fetchSupportedFeePayer();
-    if (!feePayerStr) {
-      throw new Error('Missing facilitator feePayer for Solana');
+  validateInvoice(accepts, { minutes, network = this._paymentNetwork() } = {}) {
+    if (!this.validator) {
+      return accepts;
     }
-    const feePayer = new PublicKey(feePayerStr);
-
-    const mint = new PublicKey(accepts.asset || this.solUsdcMint);
-    const payTo = new PublicKey(accepts.payTo);
-    const amount = BigInt(accepts.maxAmountRequired);
+    return this.validator.validate(accepts, { minutes, network });
+  }
 
-    // Build transaction
-    const tx = await buildExactPaymentTx({
-      connection: this.connection,
-      payerPublicKey: this.wallet.publicKey,
-      feePayerPublicKey: feePayer,
-      recipientPublicKey: payTo,
-      mintPublicKey: mint,
-      amountAtomic: amount,
-      createRecipientATAIfMissing: true,
+  /**
+   * Pick which of the invoice's accepts[] options to pay, per paymentPolicy
+   */
+  async selectRequirement(json, { network = this._paymentNetwork() } = {}) {
+    return selectPaymentRequirement(json, {
+      registry: this.schemes,
+      context: this._schemeContext(),
+      defaultNetwork: network,
+      policy: this.paymentPolicy
     });
+  }
 
-    tx.sign([this.wallet]);
-    const b64 = Buffer.from(tx.serialize({ requireAllSignatures: false })).toString('base64');
+  /**
+   * Sign a payment requirement using the scheme registered for its
+   * (scheme, network)
+   * @returns {Promise<{ header, scheme, network, payload, signature }>}
+   */
+  async createPayment(accepts, { network = this._paymentNetwork() } = {}) {
+    return this.schemes.createPayment(accepts, this._schemeContext(), network);
+  }
 
-    const x402 = {
-      x402Version: 1,
-      scheme: 'exact',
-      network: 'solana',
-      payload: { transaction: b64 }
-    };
-    const XPAYMENT = Buffer.from(JSON.stringify(x402)).toString('base64');
+  /**
+   * Sign a payment requirement and encode it as an X-PAYMENT header
+   */
+  async createPaymentHeader(accepts, options) {
+    const { header } = await this.createPayment(accepts, options);
+    return header;
+  }
 
-    const { status, json } = await httpPost(
-      `${this.baseUrl}/connect?duration_min=${accepts.extra?.minutes || 5}&network=sol`,
-      { headers: { 'X-PAYMENT': XPAYMENT } }
-    );
+  /**
+   * Add a successful payment to the receipt ledger, if one is configured.
+   * Ledger failures are logged, never thrown: the payment already went through.
+   */
+  async recordReceipt({ invoice, payment, ...details }) {
+    if (!this.receipts) {
+      return null;
+    }
+    try {
+      return await this.receipts.record({
+        invoice,
+        payment,
+        payer: this._payerAddress(payment?.network || invoice.network),
+        ...details
+      });
+    } catch (error) {
+      this.logger.warn('Failed to record payment receipt', { endpoint: details.endpoint, err: error });
+      return null;
+    }
+  }
 
-    if (status !== 200) {
-      const errorMsg = typeof json === 'string' ? json : JSON.stringify(json);
-      throw new Error(`Payment failed (${status}): ${errorMsg}`);
+  /**
+   * Run a payment under the spending budget: the amount is reserved, the
+   * payment signed and handed to pay(payment). The reservation is released
+   * only if nothing was signed (pre-flight check or signing failed); once
+   * pay() had the payment it counts as spent, since a server that fails the
+   * request may still settle it. The wallet balance is checked first (unless
+   * balanceCheck is off).
+   */
+  async withBudget(accepts, pay, details = {}) {
+    this.logger.info('Paying invoice', {
+      endpoint: details.endpoint,
+      amount: accepts.maxAmountRequired,
+      asset: accepts.asset,
+      network: accepts.network
+    });
+    if (this.balanceCheck) {
+      await this.walletMonitor.check(accepts, details);
+    }
+    if (!this.budget) {
+      const result = await pay(await this.createPayment(accepts));
+      this.walletMonitor.recordPayment(accepts, details);
+      return result;
     }
-    return json;
+
+    const reservation = await this.budget.reserve(accepts.maxAmountRequired, {
+      network: accepts.network,
+      asset: accepts.asset,
+      ...details
+    });
+    let payment;
+    try {
+      payment = await this.createPayment(accepts);
+    } catch (error) {
+      this.budget.release(reservation);
+      throw error;
+    }
+    try {
+      const result = await pay(payment);
+      this.walletMonitor.recordPayment(accepts, details);
+      return result;
+    } catch (error) {
+      this.logger.warn('Paid request failed, counting the payment against the budget', {
+        endpoint: details.endpoint,
+        amount: accepts.maxAmountRequired,
+        err: error
+      });
+      throw error;
+    } finally {
+      await this.budget.commit(reservation);
+    }
+  }
+
+  /**
+   * Pay invoice and create session
+   */
+  async payInvoice(accepts) {
+    return this.withBudget(accepts, async (payment) => {
+      const minutes = accepts.extra?.minutes || 5;
+
+      const { status, json, headers } = await httpPost(
+        `${this.baseUrl}/connect?duration_min=${minutes}&network=${this.network}`,
+        { headers: { 'X-PAYMENT': payment.header } }
+      );
+
+      if (status !== 200) {
+        throw toResponseError({ endpoint: '/connect', status, body: json }, { paid: true });
+      }
+
+      await this.recordReceipt({
+        invoice: accepts,
+        payment,
+        endpoint: '/connect',
+        accessToken: json.access_token,
+        settlement: decodePaymentResponse(headers),
+        minutes
+      });
+      return json;
+    }, { endpoint: '/connect' });
   }
 
   /**
    * Get extend invoice
    */
   async getExtendInvoice(minutes, token) {
-    const { status, json } = await httpPost(`${this.baseUrl}/extend?duration_min=${minutes}&network=sol`, {
+    const { status, json } = await httpPost(`${this.baseUrl}/extend?duration_min=${minutes}&network=${this.network}`, {
       headers: { 'X-SESSION': token }
     });
     if (status !== 402) {
-      throw new Error(`Expected 402 for extend invoice, got ${status}: ${JSON.stringify(json)}`);
+      throw toResponseError({ endpoint: '/extend', status, body: json }, { session: true });
     }
-    return (json.accepts && json.accepts[0]) || json;
+    const accepts = await this.selectRequirement(json);
+    return this.validateInvoice(accepts, { minutes });
   }
 
   /**
    * Extend session
    */
   async extendSession(accepts, token) {
-    let feePayerStr = accepts?.extra?.feePayer || process.env.SOL_FEE_PAYER;
-    
-    if (!feePayerStr) {
-      console.log('⚠️  feePayer not in invoice, fetching from facilitator...');
-      feePayerStr = await this.fetchSupportedFeePayer();
-    }
-    
-    if (!feePayerStr) {
-      throw new Error('Missing facilitator feePayer for Solana. Set SOL_FEE_PAYER env var or ensure facilitator /supported endpoint returns feePayer.');
-    }
-    
-    const feePayer = new PublicKey(feePayerStr);
-    const mint = new PublicKey(accepts.asset || this.solUsdcMint);
-    const payTo = new PublicKey(accepts.payTo);
-    const amount = BigInt(accepts.maxAmountRequired);
+    return this.withBudget(accepts, async (payment) => {
+      const minutes = accepts.extra?.minutes || 5;
 
-    const tx = await buildExactPaymentTx({
-      connection: this.connection,
-      payerPublicKey: this.wallet.publicKey,
-      feePayerPublicKey: feePayer,
-      recipientPublicKey: payTo,
-      mintPublicKey: mint,
-      amountAtomic: amount,
-      createRecipientATAIfMissing: true,
-    });
+      const { status, json, headers } = await httpPost(
+        `${this.baseUrl}/extend?duration_min=${minutes}&network=${this.network}`,
+        { headers: { 'X-SESSION': token, 'X-PAYMENT': payment.header } }
+      );
 
-    tx.sign([this.wallet]);
-    const b64 = Buffer.from(tx.serialize({ requireAllSignatures: false })).toString('base64');
-    
-    const x402 = {
-      x402Version: 1,
-      scheme: 'exact',
-      network: 'solana',
-      payload: { transaction: b64 }
-    };
-    const XPAYMENT = Buffer.from(JSON.stringify(x402)).toString('base64');
+      if (status !== 200) {
+        throw toResponseError({ endpoint: '/extend', status, body: json }, { paid: true, session: true });
+      }
 
-    const { status, json } = await httpPost(
-      `${this.baseUrl}/extend?duration_min=${accepts.extra?.minutes || 5}&network=sol`,
-      { headers: { 'X-SESSION': token, 'X-PAYMENT': XPAYMENT } }
-    );
+      await this.recordReceipt({
+        invoice: accepts,
+        payment,
+        endpoint: '/extend',
+        accessToken: json.access_token || token,
+        settlement: decodePaymentResponse(headers),
+        minutes
+      });
+      return json;
+    }, { endpoint: '/extend' });
+  }
 
-    if (status !== 200) {
-      const errorMsg = typeof json === 'string' ? json : JSON.stringify(json);
-      throw new Error(`Extend failed (${status}): ${errorMsg}`);
+  /**
+   * Address paying on a network
+   * @private
+   */
+  _payerAddress(network) {
+    if (EVM_NETWORKS[network]) {
+      return this.evmWallet?.address || null;
     }
-    return json;
+    return this.signer?.publicKey?.toBase58() || null;
   }
-}
-
 
+  /**
+   * x402 network name assumed for options that do not declare one
+   * @private
+   */
+  _paymentNetwork() {
+    return PAYMENT_NETWORKS[this.network] || this.network;
+  }
 
+  /**
+   * Context handed to payment schemes
+   * @private
+   */
+  _schemeContext() {
+    return {
+      wallet: this.wallet,
+      signer: this.signer,
+      evmWallet: this.evmWallet,
+      evmRpc: this.evmRpc,
+      connection: this.connection,
+      solUsdcMint: this.solUsdcMint,
+      logger: this.logger,
+      fetchFeePayer: () => this.fetchSupportedFeePayer()
+    };
+  }
+}
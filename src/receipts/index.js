@@ -0,0 +1,104 @@
+/**
+ * Payment receipt ledger
+ *
+ * A receipt store is any object with async append(receipt) and list().
+ */
+
+import { createHash, randomUUID } from 'crypto';
+import { MemoryReceiptStore } from './memory.js';
+
+export { MemoryReceiptStore } from './memory.js';
+export { JsonlReceiptStore } from './jsonl.js';
+export { SqliteReceiptStore } from './sqlite.js';
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'endpoint', 'network', 'scheme', 'asset', 'amount', 'amountDecimal',
+  'payTo', 'payer', 'signature', 'transaction', 'sessionId', 'minutes', 'url'
+];
+
+export class ReceiptLedger {
+  constructor({ store, decimals = 6 } = {}) {
+    this.store = store || new MemoryReceiptStore();
+    this.decimals = decimals; // USDC
+  }
+
+  /**
+   * Record a successful payment
+   */
+  async record({ invoice, payment, endpoint, accessToken, payer, settlement, ...extra }) {
+    const receipt = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      endpoint,
+      network: payment?.network || invoice.network || null,
+      scheme: payment?.scheme || invoice.scheme || 'exact',
+      asset: invoice.asset || null,
+      amount: String(invoice.maxAmountRequired),
+      payTo: invoice.payTo || null,
+      payer: payer || settlement?.payer || null,
+      signature: payment?.signature || null,
+      transaction: settlement?.transaction || null,
+      sessionId: accessToken ? tokenId(accessToken) : null,
+      ...extra,
+      invoice
+    };
+    await this.store.append(receipt);
+    return receipt;
+  }
+
+  /**
+   * List receipts, optionally filtered by time range and endpoint
+   */
+  async list({ since, until, endpoint } = {}) {
+    const from = since ? new Date(since).getTime() : -Infinity;
+    const to = until ? new Date(until).getTime() : Infinity;
+    const receipts = await this.store.list();
+    return receipts.filter(r => {
+      const at = new Date(r.timestamp).getTime();
+      return at >= from && at <= to && (!endpoint || r.endpoint === endpoint);
+    });
+  }
+
+  /**
+   * Export receipts as CSV (same filters as list())
+   */
+  async exportCsv(query = {}) {
+    const receipts = await this.list(query);
+    const rows = receipts.map(r => CSV_COLUMNS.map(column => {
+      if (column === 'amountDecimal') {
+        return formatAmount(r.amount, this.decimals);
+      }
+      return r[column] ?? '';
+    }));
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+  }
+}
+
+/**
+ * Accept a ReceiptLedger or a receipt store
+ */
+export function resolveReceiptLedger(receipts) {
+  if (!receipts) {
+    return null;
+  }
+  return receipts instanceof ReceiptLedger ? receipts : new ReceiptLedger({ store: receipts });
+}
+
+/**
+ * Stable, non-secret identifier for a session access token
+ */
+export function tokenId(accessToken) {
+  return createHash('sha256').update(accessToken).digest('hex').slice(0, 16);
+}
+
+function formatAmount(amount, decimals) {
+  const value = BigInt(amount);
+  const base = 10n ** BigInt(decimals);
+  const fraction = (value % base).toString().padStart(decimals, '0');
+  return `${value / base}.${fraction}`;
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
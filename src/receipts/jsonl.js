@@ -0,0 +1,41 @@
+/**
+ * Append-only JSON Lines receipt store
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export class JsonlReceiptStore {
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('JsonlReceiptStore requires a file path');
+    }
+    this.filePath = filePath;
+    this.writes = Promise.resolve();
+  }
+
+  async append(receipt) {
+    const line = JSON.stringify(receipt) + '\n';
+    // Serialize appends so concurrent payments never interleave lines
+    const write = this.writes.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, line);
+    });
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  async list() {
+    await this.writes;
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+}
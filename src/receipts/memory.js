@@ -0,0 +1,17 @@
+/**
+ * In-memory receipt store
+ */
+
+export class MemoryReceiptStore {
+  constructor() {
+    this.receipts = [];
+  }
+
+  async append(receipt) {
+    this.receipts.push(receipt);
+  }
+
+  async list() {
+    return [...this.receipts];
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * SQLite receipt store (requires the optional better-sqlite3 package)
+ */
+
+const COLUMNS = [
+  'id', 'timestamp', 'endpoint', 'network', 'scheme', 'asset', 'amount',
+  'payTo', 'payer', 'signature', 'transaction', 'sessionId'
+];
+
+export class SqliteReceiptStore {
+  constructor(filePath, { table = 'receipts' } = {}) {
+    if (!filePath) {
+      throw new Error('SqliteReceiptStore requires a database path');
+    }
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid table name: ${table}`);
+    }
+    this.filePath = filePath;
+    this.table = table;
+    this.db = null;
+  }
+
+  async append(receipt) {
+    const db = await this._open();
+    db.prepare(
+      `INSERT INTO ${this.table} (${COLUMNS.map(c => `"${c}"`).join(', ')}, data)
+       VALUES (${COLUMNS.map(c => `@${c}`).join(', ')}, @data)`
+    ).run({
+      ...Object.fromEntries(COLUMNS.map(c => [c, receipt[c] ?? null])),
+      data: JSON.stringify(receipt)
+    });
+  }
+
+  async list() {
+    const db = await this._open();
+    return db.prepare(`SELECT data FROM ${this.table} ORDER BY timestamp, rowid`).all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch {
+      throw new Error('SqliteReceiptStore requires better-sqlite3. Install it with: npm install better-sqlite3');
+    }
+
+    this.db = new Database(this.filePath);
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (
+        ${COLUMNS.map(c => `"${c}" TEXT`).join(',\n        ')},
+        data TEXT NOT NULL
+      )`
+    );
+    return this.db;
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * x402 'exact' scheme on EVM chains (EIP-3009 transferWithAuthorization)
+ */
+
+import { buildExactEvmPayment, getEvmTokenBalance, EVM_NETWORKS } from '../utils/evm-payment.js';
+
+export const exactEvmScheme = {
+  scheme: 'exact',
+  networks: Object.keys(EVM_NETWORKS),
+
+  async createPayload(requirement, context) {
+    if (!context.evmWallet) {
+      throw new Error(`EVM wallet is required to pay on ${requirement.network}. Provide evmWallet in constructor options.`);
+    }
+
+    return buildExactEvmPayment({
+      account: context.evmWallet,
+      requirement,
+      network: requirement.network,
+    });
+  },
+
+  async getBalance(requirement, context) {
+    if (!context.evmWallet) {
+      return null;
+    }
+    return getEvmTokenBalance({
+      address: context.evmWallet.address,
+      asset: requirement.asset,
+      network: requirement.network,
+      rpcUrl: context.evmRpc,
+    });
+  },
+
+  async canPay(requirement, context) {
+    const balance = await this.getBalance(requirement, context);
+    return balance !== null && balance >= BigInt(requirement.maxAmountRequired);
+  },
+
+  getSignature(payload) {
+    return payload.signature;
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * x402 'exact' scheme on Solana (SPL TransferChecked)
+ */
+
+import bs58 from 'bs58';
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { buildExactPaymentTx, getTokenBalance } from '../utils/payment.js';
+import { FacilitatorUnavailableError } from '../errors.js';
+
+export const exactSolanaScheme = {
+  scheme: 'exact',
+  networks: ['solana', 'solana-devnet'],
+
+  async createPayload(requirement, context) {
+    if (!context.signer) {
+      throw new Error('Wallet is required to pay on Solana. Provide wallet in constructor options.');
+    }
+
+    let feePayerStr = requirement.extra?.feePayer || process.env.SOL_FEE_PAYER;
+    if (!feePayerStr) {
+      context.logger?.debug('feePayer not in invoice, fetching from facilitator');
+      feePayerStr = await context.fetchFeePayer();
+    }
+    if (!feePayerStr) {
+      throw new FacilitatorUnavailableError({
+        endpoint: '/supported',
+        message: 'Missing facilitator feePayer for Solana. Set SOL_FEE_PAYER env var or ensure facilitator /supported endpoint returns feePayer.'
+      });
+    }
+
+    const tx = await buildExactPaymentTx({
+      connection: context.connection,
+      payerPublicKey: context.signer.publicKey,
+      feePayerPublicKey: new PublicKey(feePayerStr),
+      recipientPublicKey: new PublicKey(requirement.payTo),
+      mintPublicKey: new PublicKey(requirement.asset || context.solUsdcMint),
+      amountAtomic: BigInt(requirement.maxAmountRequired),
+      createRecipientATAIfMissing: true,
+    });
+
+    const signed = await context.signer.signTransaction(tx);
+    const b64 = Buffer.from(signed.serialize()).toString('base64');
+
+    return { transaction: b64 };
+  },
+
+  async getBalance(requirement, context) {
+    if (!context.signer) {
+      return null;
+    }
+    // 0n when the payer has no token account for the mint yet
+    return getTokenBalance({
+      connection: context.connection,
+      ownerPublicKey: context.signer.publicKey,
+      mintPublicKey: requirement.asset || context.solUsdcMint,
+    });
+  },
+
+  async canPay(requirement, context) {
+    const balance = await this.getBalance(requirement, context);
+    return balance !== null && balance >= BigInt(requirement.maxAmountRequired);
+  },
+
+  getSignature(payload, context) {
+    const tx = VersionedTransaction.deserialize(Buffer.from(payload.transaction, 'base64'));
+    const index = tx.message.staticAccountKeys.findIndex(key => key.equals(context.signer.publicKey));
+    return index === -1 ? null : bs58.encode(tx.signatures[index]);
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Built-in x402 payment schemes
+ */
+
+import { PaymentSchemeRegistry } from './registry.js';
+import { exactSolanaScheme } from './exact-solana.js';
+import { exactEvmScheme } from './exact-evm.js';
+
+export { PaymentSchemeRegistry, encodePaymentHeader, X402_VERSION } from './registry.js';
+export { exactSolanaScheme } from './exact-solana.js';
+export { exactEvmScheme } from './exact-evm.js';
+
+/**
+ * Create a registry with the built-in schemes plus any custom ones
+ */
+export function createDefaultRegistry(customSchemes = []) {
+  return new PaymentSchemeRegistry([exactSolanaScheme, exactEvmScheme, ...customSchemes]);
+}
@@ -0,0 +1,141 @@
+/**
+ * Registry of x402 payment schemes keyed by (scheme, network)
+ */
+
+export const X402_VERSION = 1;
+
+export class PaymentSchemeRegistry {
+  constructor(schemes = []) {
+    this.schemes = new Map();
+    schemes.forEach(scheme => this.register(scheme));
+  }
+
+  /**
+   * Register a payment scheme
+   *
+   * A scheme is an object with `scheme` (e.g. 'exact'), `networks` (array of
+   * x402 network names) and `createPayload(requirement, context)` returning
+   * the `payload` part of the X-PAYMENT envelope. An optional
+   * `canPay(requirement, context)` reports whether the wallet holds enough of
+   * the asset, used by the `onlyHeldAssets` selection policy. An optional
+   * `getBalance(requirement, context)` returns the wallet's balance of the
+   * asset (atomic units, null without a wallet) for pre-flight checks. An
+   * optional `getSignature(payload, context)` returns the payer's signature
+   * for receipts. Registering the same (scheme, network) twice replaces the
+   * previous entry.
+   */
+  register(scheme) {
+    if (!scheme || typeof scheme.createPayload !== 'function') {
+      throw new Error('Payment scheme must implement createPayload(requirement, context)');
+    }
+    const networks = scheme.networks || (scheme.network ? [scheme.network] : []);
+    if (!scheme.scheme || networks.length === 0) {
+      throw new Error('Payment scheme must declare a scheme name and at least one network');
+    }
+    networks.forEach(network => {
+      this.schemes.set(this._key(scheme.scheme, network), scheme);
+    });
+    return this;
+  }
+
+  /**
+   * Remove a (scheme, network) entry
+   */
+  unregister(scheme, network) {
+    return this.schemes.delete(this._key(scheme, network));
+  }
+
+  /**
+   * Look up a scheme, or null if none is registered
+   */
+  get(scheme, network) {
+    return this.schemes.get(this._key(scheme, network)) || null;
+  }
+
+  /**
+   * Whether a payment requirement can be paid by a registered scheme
+   */
+  supports(requirement, defaultNetwork) {
+    const { scheme, network } = this._describe(requirement, defaultNetwork);
+    return this.schemes.has(this._key(scheme, network));
+  }
+
+  /**
+   * Pick the scheme implementation for a payment requirement
+   */
+  resolve(requirement, defaultNetwork) {
+    const { scheme, network } = this._describe(requirement, defaultNetwork);
+    const impl = this.get(scheme, network);
+    if (!impl) {
+      const known = this.list().map(k => `${k.scheme}/${k.network}`).join(', ');
+      throw new Error(`No payment scheme registered for ${scheme}/${network}. Registered: ${known || 'none'}`);
+    }
+    return impl;
+  }
+
+  /**
+   * List registered (scheme, network) pairs
+   */
+  list() {
+    return [...this.schemes.keys()].map(key => {
+      const [scheme, network] = key.split(':');
+      return { scheme, network };
+    });
+  }
+
+  /**
+   * Sign a requirement and return the X-PAYMENT header with its details
+   * @returns {Promise<{ header, scheme, network, payload, signature }>}
+   */
+  async createPayment(requirement, context, defaultNetwork) {
+    const { scheme, network } = this._describe(requirement, defaultNetwork);
+    const impl = this.resolve(requirement, defaultNetwork);
+    const payload = await impl.createPayload({ ...requirement, scheme, network }, context);
+    const signature = typeof impl.getSignature === 'function' ? impl.getSignature(payload, context) : null;
+    return {
+      header: encodePaymentHeader({ scheme, network, payload }),
+      scheme,
+      network,
+      payload,
+      signature
+    };
+  }
+
+  /**
+   * Build the base64 X-PAYMENT header for a requirement
+   */
+  async createPaymentHeader(requirement, context, defaultNetwork) {
+    const { header } = await this.createPayment(requirement, context, defaultNetwork);
+    return header;
+  }
+
+  /**
+   * @private
+   */
+  _describe(requirement, defaultNetwork) {
+    return {
+      scheme: requirement?.scheme || 'exact',
+      network: requirement?.network || defaultNetwork
+    };
+  }
+
+  /**
+   * @private
+   */
+  _key(scheme, network) {
+    return `${scheme}:${network}`;
+  }
+}
+
+/**
+ * Encode an x402 envelope as an X-PAYMENT header value
+ */
+export function encodePaymentHeader({ scheme, network, payload }) {
+  const x402 = {
+    x402Version: X402_VERSION,
+    scheme,
+    network,
+    payload
+  };
+  return Buffer.from(JSON.stringify(x402)).toString('base64');
+}
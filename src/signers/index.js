@@ -0,0 +1,28 @@
+/**
+ * Transaction signers
+ *
+ * A signer is any object with a `publicKey` (PublicKey) and an async
+ * `signTransaction(tx)` that returns the VersionedTransaction signed.
+ */
+
+import { KeypairSigner } from './keypair.js';
+
+export { KeypairSigner } from './keypair.js';
+export { RemoteSigner } from './remote.js';
+export { createSignerServer } from './server.js';
+
+/**
+ * Accept a Signer or a raw Keypair and return a Signer
+ */
+export function toSigner(wallet) {
+  if (!wallet) {
+    return null;
+  }
+  if (typeof wallet.signTransaction === 'function' && wallet.publicKey) {
+    return wallet;
+  }
+  if (wallet.secretKey && wallet.publicKey) {
+    return new KeypairSigner(wallet);
+  }
+  throw new Error('Wallet must be a Solana Keypair or a signer with publicKey and signTransaction(tx)');
+}
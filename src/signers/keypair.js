@@ -0,0 +1,21 @@
+/**
+ * Signer backed by an in-process Solana Keypair
+ */
+
+export class KeypairSigner {
+  constructor(keypair) {
+    if (!keypair?.publicKey || !keypair?.secretKey) {
+      throw new Error('KeypairSigner requires a Solana Keypair');
+    }
+    this.keypair = keypair;
+    this.publicKey = keypair.publicKey;
+  }
+
+  /**
+   * Add this keypair's signature to a VersionedTransaction
+   */
+  async signTransaction(tx) {
+    tx.sign([this.keypair]);
+    return tx;
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Signer that delegates to a separate signing process over HTTP or a Unix socket
+ */
+
+import { Agent } from 'undici';
+import { PublicKey, VersionedTransaction } from '@solana/web3.js';
+import { httpGet, httpPost } from '../utils/http.js';
+
+/**
+ * Protocol (JSON):
+ * - GET  /public-key -> { publicKey }
+ * - POST /sign { transaction: base64 } -> { transaction: base64 }
+ *
+ * The returned transaction must carry the same message and a signature from
+ * the signer's key, otherwise signTransaction() throws.
+ */
+export class RemoteSigner {
+  constructor({ url, socketPath, publicKey, headers = {} }) {
+    if (!url && !socketPath) {
+      throw new Error('RemoteSigner requires a url or a socketPath');
+    }
+    // Over a Unix socket the host part is ignored, only the path matters
+    this.url = (url || 'http://localhost').replace(/\/$/, '');
+    this.headers = headers;
+    this.dispatcher = socketPath ? new Agent({ connect: { socketPath } }) : undefined;
+    this.publicKey = publicKey ? new PublicKey(publicKey) : null;
+  }
+
+  /**
+   * Create a signer and fetch its public key from the signing process
+   */
+  static async connect(options) {
+    const signer = new RemoteSigner(options);
+    if (!signer.publicKey) {
+      const { status, json } = await httpGet(`${signer.url}/public-key`, {
+        headers: signer.headers,
+        dispatcher: signer.dispatcher
+      });
+      if (status !== 200 || !json?.publicKey) {
+        throw new Error(`Remote signer /public-key returned ${status}: ${JSON.stringify(json)}`);
+      }
+      signer.publicKey = new PublicKey(json.publicKey);
+    }
+    return signer;
+  }
+
+  /**
+   * Send a VersionedTransaction to the signing process and return it signed
+   */
+  async signTransaction(tx) {
+    if (!this.publicKey) {
+      throw new Error('RemoteSigner has no public key. Use RemoteSigner.connect() or pass publicKey.');
+    }
+
+    const unsigned = Buffer.from(tx.serialize()).toString('base64');
+    const { status, json } = await httpPost(`${this.url}/sign`, {
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify({ transaction: unsigned }),
+      dispatcher: this.dispatcher
+    });
+    if (status !== 200 || !json?.transaction) {
+      throw new Error(`Remote signer /sign returned ${status}: ${JSON.stringify(json)}`);
+    }
+
+    const signed = VersionedTransaction.deserialize(Buffer.from(json.transaction, 'base64'));
+    this._assertSigned(tx, signed);
+    return signed;
+  }
+
+  /**
+   * Release the Unix socket connection pool
+   */
+  async close() {
+    if (this.dispatcher) {
+      await this.dispatcher.close();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _assertSigned(original, signed) {
+    const sameMessage = Buffer.from(original.message.serialize()).equals(Buffer.from(signed.message.serialize()));
+    if (!sameMessage) {
+      throw new Error('Remote signer returned a different transaction message');
+    }
+
+    const index = signed.message.staticAccountKeys.findIndex(key => key.equals(this.publicKey));
+    const signature = index === -1 ? null : signed.signatures[index];
+    if (!signature || signature.every(byte => byte === 0)) {
+      throw new Error(`Remote signer did not sign for ${this.publicKey.toBase58()}`);
+    }
+  }
+}
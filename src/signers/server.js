@@ -0,0 +1,45 @@
+/**
+ * Reference signing process for RemoteSigner (for local testing)
+ */
+
+import http from 'http';
+import { VersionedTransaction } from '@solana/web3.js';
+
+/**
+ * Create an HTTP server that signs transactions with a Keypair.
+ *
+ * Listen on a port or a Unix socket path:
+ *   createSignerServer(keypair).listen('/tmp/bridge402-signer.sock')
+ *
+ * This signs whatever it is sent. A production signer should inspect the
+ * transaction (program ids, amounts, recipients) before signing.
+ */
+export function createSignerServer(keypair) {
+  return http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (req.method === 'GET' && req.url === '/public-key') {
+        return send(200, { publicKey: keypair.publicKey.toBase58() });
+      }
+
+      if (req.method === 'POST' && req.url === '/sign') {
+        const chunks = [];
+        for await (const chunk of req) {
+          chunks.push(chunk);
+        }
+        const { transaction } = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        const tx = VersionedTransaction.deserialize(Buffer.from(transaction, 'base64'));
+        tx.sign([keypair]);
+        return send(200, { transaction: Buffer.from(tx.serialize()).toString('base64') });
+      }
+
+      send(404, { error: 'Not found' });
+    } catch (error) {
+      send(400, { error: error.message });
+    }
+  });
+}
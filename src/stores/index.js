@@ -0,0 +1,8 @@
+/**
+ * Pluggable state stores
+ *
+ * A store is any object with async load(), save(value) and clear().
+ */
+
+export { MemoryStore } from './memory.js';
+export { JsonFileStore } from './json-file.js';
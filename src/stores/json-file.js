@@ -0,0 +1,56 @@
+/**
+ * JSON file state store
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export class JsonFileStore {
+  constructor(filePath) {
+    if (!filePath) {
+      throw new Error('JsonFileStore requires a file path');
+    }
+    this.filePath = filePath;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Load stored state, or null if the file does not exist yet
+   */
+  async load() {
+    try {
+      const text = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(text);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace stored state (written to a temp file, then renamed into place)
+   */
+  async save(value) {
+    const text = JSON.stringify(value, null, 2);
+    // Serialize writes so concurrent saves never interleave on the temp file
+    const write = this.writes.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, text);
+      await fs.rename(tmpPath, this.filePath);
+    });
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Remove stored state
+   */
+  async clear() {
+    const clear = this.writes.then(() => fs.rm(this.filePath, { force: true }));
+    this.writes = clear.catch(() => {});
+    return clear;
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * In-memory state store
+ */
+
+export class MemoryStore {
+  constructor(initial = null) {
+    this.value = initial;
+  }
+
+  /**
+   * Load stored state, or null if nothing has been saved
+   */
+  async load() {
+    return this.value === null ? null : structuredClone(this.value);
+  }
+
+  /**
+   * Replace stored state
+   */
+  async save(value) {
+    this.value = value === null ? null : structuredClone(value);
+  }
+
+  /**
+   * Remove stored state
+   */
+  async clear() {
+    this.value = null;
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * Pull-based consumption of the news stream
+ */
+
+import { Readable } from 'stream';
+import { createFilter } from './filters.js';
+
+const OVERFLOW_STRATEGIES = ['drop-oldest', 'drop-newest', 'pause', 'error'];
+
+/**
+ * Buffers a client's `message` events for an async iterator
+ *
+ * At most `highWaterMark` messages are held. When a slow consumer lets the
+ * buffer fill up, `overflow` decides what happens:
+ * - 'drop-oldest' (default) / 'drop-newest': discard a message (counted in `dropped`)
+ * - 'pause': stop reading the WebSocket until the buffer is half empty
+ * - 'error': end the iterator with an error
+ *
+ * The iterator ends once the client stops or its stream closes for good,
+ * after the buffered messages are consumed.
+ */
+export class MessageSubscription {
+  constructor(client, { filter, highWaterMark = 1000, overflow = 'drop-oldest', signal } = {}) {
+    if (!OVERFLOW_STRATEGIES.includes(overflow)) {
+      throw new Error(`Unknown overflow strategy "${overflow}" (use ${OVERFLOW_STRATEGIES.join(', ')})`);
+    }
+    this.client = client;
+    this.filter = createFilter(filter);
+    this.highWaterMark = highWaterMark;
+    this.overflow = overflow;
+    this.signal = signal;
+
+    this.buffer = [];
+    this.waiting = null; // Pending next() of a consumer that caught up
+    this.done = false;
+    this.error = null;
+    this.paused = false;
+    this.dropped = 0;
+
+    this.onMessage = (msg) => this.push(msg);
+    this.onEnd = () => this.end();
+    this.onAbort = () => this.end(this.signal.reason);
+    client.on('message', this.onMessage);
+    client.on('stopped', this.onEnd);
+    client.on('closed', this.onEnd);
+    if (signal?.aborted) {
+      this.end(signal.reason);
+    } else {
+      signal?.addEventListener('abort', this.onAbort, { once: true });
+    }
+  }
+
+  /**
+   * @private
+   */
+  push(msg) {
+    if (this.done || (this.filter && !this.filter(msg))) {
+      return;
+    }
+    if (this.waiting) {
+      const resolve = this.waiting.resolve;
+      this.waiting = null;
+      resolve({ value: msg, done: false });
+      return;
+    }
+
+    if (this.buffer.length >= this.highWaterMark) {
+      switch (this.overflow) {
+        case 'drop-newest':
+          this.dropped++;
+          return;
+        case 'drop-oldest':
+          this.buffer.shift();
+          this.dropped++;
+          break;
+        case 'error':
+          this.end(new Error(`Message buffer overflow (highWaterMark ${this.highWaterMark})`));
+          return;
+        case 'pause':
+          break; // Keep it; reading is paused below
+      }
+    }
+    this.buffer.push(msg);
+
+    if (this.overflow === 'pause' && !this.paused && this.buffer.length >= this.highWaterMark) {
+      this.paused = true;
+      this.client.wsManager?.pauseReading();
+    }
+  }
+
+  /**
+   * Async iterator protocol
+   */
+  next() {
+    if (this.buffer.length > 0) {
+      const value = this.buffer.shift();
+      if (this.paused && this.buffer.length <= this.highWaterMark / 2) {
+        this.paused = false;
+        this.client.wsManager?.resumeReading();
+      }
+      return Promise.resolve({ value, done: false });
+    }
+    if (this.error) {
+      const error = this.error;
+      this.error = null;
+      return Promise.reject(error);
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  /**
+   * Called on `break` / early exit: stop listening and drop the buffer
+   */
+  return() {
+    this.buffer = [];
+    this.end();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Stop listening; buffered messages are still handed out, then the
+   * iterator finishes (or throws `error`, if given)
+   */
+  end(error = null) {
+    if (this.done) {
+      return;
+    }
+    this.done = true;
+    this.error = error;
+    this.client.off('message', this.onMessage);
+    this.client.off('stopped', this.onEnd);
+    this.client.off('closed', this.onEnd);
+    this.signal?.removeEventListener('abort', this.onAbort);
+    if (this.paused) {
+      this.paused = false;
+      this.client.wsManager?.resumeReading();
+    }
+
+    if (this.waiting) {
+      const { resolve, reject } = this.waiting;
+      this.waiting = null;
+      if (error) {
+        this.error = null;
+        reject(error);
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    }
+  }
+}
+
+/**
+ * Node.js object-mode Readable over a subscription. Readable only pulls
+ * while below its own highWaterMark; the rest waits in the subscription.
+ */
+export function toReadable(subscription, { highWaterMark = 16 } = {}) {
+  return Readable.from(subscription, { objectMode: true, highWaterMark });
+}
+
+/**
+ * WHATWG ReadableStream over a subscription
+ */
+export function toReadableStream(subscription, { highWaterMark = 16 } = {}) {
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await subscription.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    cancel() {
+      subscription.return();
+    }
+  }, new CountQueuingStrategy({ highWaterMark }));
+}
@@ -0,0 +1,143 @@
+/**
+ * Payment utilities for x402 payments (EVM / Base)
+ */
+
+import { randomBytes } from 'crypto';
+import { createPublicClient, erc20Abi, getAddress, http, toHex } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { base, baseSepolia } from 'viem/chains';
+
+/**
+ * Chain ids and default USDC deployments for supported EVM networks
+ */
+export const EVM_NETWORKS = {
+  base: {
+    chain: base,
+    chainId: 8453,
+    usdc: '0x833589fCD6eDb6E08f4c3C32D4f71b54bdA02913',
+    usdcName: 'USD Coin',
+    usdcVersion: '2'
+  },
+  'base-sepolia': {
+    chain: baseSepolia,
+    chainId: 84532,
+    usdc: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+    usdcName: 'USDC',
+    usdcVersion: '2'
+  }
+};
+
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+/**
+ * Turn a hex private key or an existing viem account into a signing account
+ */
+export function resolveEvmAccount(keyOrAccount) {
+  if (!keyOrAccount) {
+    return null;
+  }
+  if (typeof keyOrAccount === 'string') {
+    const key = keyOrAccount.startsWith('0x') ? keyOrAccount : `0x${keyOrAccount}`;
+    return privateKeyToAccount(key);
+  }
+  if (typeof keyOrAccount.signTypedData !== 'function' || !keyOrAccount.address) {
+    throw new Error('EVM account must be a hex private key or expose address and signTypedData()');
+  }
+  return keyOrAccount;
+}
+
+/**
+ * Build the EIP-712 typed data for an EIP-3009 transferWithAuthorization
+ */
+export function buildTransferAuthorization({
+  from,
+  to,
+  value,
+  network = 'base',
+  asset,
+  name,
+  version,
+  maxTimeoutSeconds = 60,
+  now = Math.floor(Date.now() / 1000),
+}) {
+  const chain = EVM_NETWORKS[network];
+  if (!chain) {
+    throw new Error(`Unsupported EVM network: ${network}`);
+  }
+
+  const authorization = {
+    from: getAddress(from),
+    to: getAddress(to),
+    value: BigInt(value).toString(),
+    // Backdated so small clock skew against the facilitator does not reject it
+    validAfter: String(now - 600),
+    validBefore: String(now + maxTimeoutSeconds),
+    nonce: toHex(randomBytes(32))
+  };
+
+  const typedData = {
+    domain: {
+      name: name || chain.usdcName,
+      version: version || chain.usdcVersion,
+      chainId: chain.chainId,
+      verifyingContract: getAddress(asset || chain.usdc)
+    },
+    types: TRANSFER_WITH_AUTHORIZATION_TYPES,
+    primaryType: 'TransferWithAuthorization',
+    message: {
+      ...authorization,
+      value: BigInt(authorization.value),
+      validAfter: BigInt(authorization.validAfter),
+      validBefore: BigInt(authorization.validBefore)
+    }
+  };
+
+  return { authorization, typedData };
+}
+
+/**
+ * Build and sign an exact EVM payment payload for x402
+ */
+export async function buildExactEvmPayment({ account, requirement, network }) {
+  const { authorization, typedData } = buildTransferAuthorization({
+    from: account.address,
+    to: requirement.payTo,
+    value: requirement.maxAmountRequired,
+    network: network || requirement.network || 'base',
+    asset: requirement.asset,
+    name: requirement.extra?.name,
+    version: requirement.extra?.version,
+    maxTimeoutSeconds: requirement.maxTimeoutSeconds || 60,
+  });
+
+  const signature = await account.signTypedData(typedData);
+
+  return { signature, authorization };
+}
+
+/**
+ * Get the ERC-20 balance (atomic units) of an address on an EVM network
+ */
+export async function getEvmTokenBalance({ address, asset, network = 'base', rpcUrl }) {
+  const chain = EVM_NETWORKS[network];
+  if (!chain) {
+    throw new Error(`Unsupported EVM network: ${network}`);
+  }
+
+  const client = createPublicClient({ chain: chain.chain, transport: http(rpcUrl) });
+  return client.readContract({
+    address: getAddress(asset || chain.usdc),
+    abi: erc20Abi,
+    functionName: 'balanceOf',
+    args: [getAddress(address)]
+  });
+}
@@ -7,28 +7,40 @@ import { request } from 'undici';
 /**
  * HTTP POST request
  */
-export async function httpPost(url, { headers = {}, body = undefined } = {}) {
-  const res = await request(url, { method: 'POST', headers, body });
+export async function httpPost(url, { headers = {}, body = undefined, dispatcher = undefined } = {}) {
+  const res = await request(url, { method: 'POST', headers, body, dispatcher });
   const text = await res.body.text();
   try {
-    return { status: res.statusCode, json: JSON.parse(text) };
+    return { status: res.statusCode, json: JSON.parse(text), headers: res.headers };
   } catch {
-    return { status: res.statusCode, json: text };
+    return { status: res.statusCode, json: text, headers: res.headers };
   }
 }
 
 /**
  * HTTP GET request
  */
-export async function httpGet(url, { headers = {} } = {}) {
-  const res = await request(url, { method: 'GET', headers });
+export async function httpGet(url, { headers = {}, dispatcher = undefined } = {}) {
+  const res = await request(url, { method: 'GET', headers, dispatcher });
   const text = await res.body.text();
   try {
-    return { status: res.statusCode, json: JSON.parse(text) };
+    return { status: res.statusCode, json: JSON.parse(text), headers: res.headers };
   } catch {
-    return { status: res.statusCode, json: text };
+    return { status: res.statusCode, json: text, headers: res.headers };
   }
 }
 
-
-
+/**
+ * Decode the X-PAYMENT-RESPONSE settlement header, if present
+ */
+export function decodePaymentResponse(headers = {}) {
+  const value = headers['x-payment-response'];
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
@@ -4,6 +4,7 @@
 
 import { Connection, PublicKey, TransactionMessage, VersionedTransaction, ComputeBudgetProgram, TransactionInstruction, SystemProgram } from '@solana/web3.js';
 import { getAssociatedTokenAddress, createTransferCheckedInstruction, getMint, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+import { InsufficientFundsError } from '../errors.js';
 
 /**
  * Build exact payment transaction for x402
@@ -44,7 +45,13 @@ export async function buildExactPaymentTx({
   // Check if source ATA exists
   const sourceAtaInfo = await connection.getAccountInfo(sourceAta, 'confirmed');
   if (!sourceAtaInfo) {
-    throw new Error(`Payer does not have an Associated Token Account for ${mintPubkey.toBase58()}`);
+    throw new InsufficientFundsError({
+      message: `Payer does not have an Associated Token Account for ${mintPubkey.toBase58()}`,
+      required: amountAtomic,
+      available: 0n,
+      asset: mintPubkey.toBase58(),
+      payer: payerPubkey.toBase58()
+    });
   }
 
   // Create ATA for destination if missing
@@ -95,5 +102,24 @@ export async function buildExactPaymentTx({
   return new VersionedTransaction(message);
 }
 
+/**
+ * Get the SPL token balance (atomic units) held by an owner, 0n if no ATA
+ */
+export async function getTokenBalance({ connection, ownerPublicKey, mintPublicKey }) {
+  const ownerPubkey = ownerPublicKey instanceof PublicKey ? ownerPublicKey : new PublicKey(ownerPublicKey);
+  const mintPubkey = mintPublicKey instanceof PublicKey ? mintPublicKey : new PublicKey(mintPublicKey);
+
+  const mintInfo = await connection.getAccountInfo(mintPubkey, 'confirmed');
+  const programId = mintInfo?.owner?.toBase58() === TOKEN_2022_PROGRAM_ID.toBase58()
+    ? TOKEN_2022_PROGRAM_ID
+    : TOKEN_PROGRAM_ID;
 
+  const ata = await getAssociatedTokenAddress(mintPubkey, ownerPubkey, false, programId);
+  const ataInfo = await connection.getAccountInfo(ata, 'confirmed');
+  if (!ataInfo) {
+    return 0n;
+  }
 
+  const { value } = await connection.getTokenAccountBalance(ata, 'confirmed');
+  return BigInt(value.amount);
+}
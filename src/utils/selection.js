@@ -0,0 +1,107 @@
+/**
+ * Selection among the payment options (`accepts[]`) offered in an invoice
+ */
+
+import { NoPaymentOptionError } from '../errors.js';
+
+/**
+ * Normalize a 402 response body into the list of offered requirements
+ */
+export function listPaymentOptions(json) {
+  if (json && Array.isArray(json.accepts)) {
+    return json.accepts;
+  }
+  return json && typeof json === 'object' ? [json] : [];
+}
+
+/**
+ * Pick the payment requirement to pay from a 402 response body
+ *
+ * Policy options:
+ * - strategy: 'preferred' (default) keeps preferredNetworks order, then the
+ *   server's order; 'cheapest' orders by maxAmountRequired first
+ * - preferredNetworks: x402 network names in order of preference; networks
+ *   not listed are still eligible, after the listed ones
+ * - assets: allowlist of asset addresses/mints
+ * - predicate: (requirement) => boolean | Promise<boolean>
+ * - onlyHeldAssets: skip options the wallet cannot cover (checked via the
+ *   scheme's canPay, in preference order, stopping at the first match)
+ */
+export async function selectPaymentRequirement(json, { registry, context, defaultNetwork, policy = {} }) {
+  const options = listPaymentOptions(json);
+  const rejections = [];
+  const reject = (option, reason) => {
+    rejections.push({ option, reason });
+    return false;
+  };
+
+  const assets = policy.assets ? policy.assets.map(a => a.toLowerCase()) : null;
+
+  const candidates = [];
+  for (const option of options) {
+    const network = option.network || defaultNetwork;
+    if (!registry.supports(option, defaultNetwork)) {
+      reject(option, `no payment scheme registered for ${option.scheme || 'exact'}/${network}`);
+      continue;
+    }
+    if (assets && !assets.includes(String(option.asset || '').toLowerCase())) {
+      reject(option, 'asset not in allowed assets');
+      continue;
+    }
+    if (policy.predicate && !(await policy.predicate(option))) {
+      reject(option, 'rejected by predicate');
+      continue;
+    }
+    candidates.push(option);
+  }
+
+  const ranked = rankOptions(candidates, policy, defaultNetwork);
+
+  if (!policy.onlyHeldAssets) {
+    if (ranked.length === 0) {
+      throw new NoPaymentOptionError(options, rejections);
+    }
+    return ranked[0];
+  }
+
+  for (const option of ranked) {
+    const scheme = registry.resolve(option, defaultNetwork);
+    if (typeof scheme.canPay !== 'function') {
+      return option;
+    }
+    try {
+      const network = option.network || defaultNetwork;
+      if (await scheme.canPay({ ...option, network }, context)) {
+        return option;
+      }
+      reject(option, 'no wallet for this network or balance too low');
+    } catch (error) {
+      reject(option, `balance check failed: ${error.message}`);
+    }
+  }
+
+  throw new NoPaymentOptionError(options, rejections);
+}
+
+/**
+ * Order candidates according to the policy (stable)
+ */
+function rankOptions(candidates, policy, defaultNetwork) {
+  const preferred = policy.preferredNetworks || [];
+  const networkRank = (option) => {
+    const index = preferred.indexOf(option.network || defaultNetwork);
+    return index === -1 ? preferred.length : index;
+  };
+  const amount = (option) => BigInt(option.maxAmountRequired || 0);
+  const byAmount = (a, b) => (amount(a) < amount(b) ? -1 : amount(a) > amount(b) ? 1 : 0);
+  const byNetwork = (a, b) => networkRank(a) - networkRank(b);
+
+  const compare = policy.strategy === 'cheapest'
+    ? (a, b) => byAmount(a, b) || byNetwork(a, b)
+    : byNetwork;
+
+  return candidates
+    .map((option, index) => ({ option, index }))
+    .sort((a, b) => compare(a.option, b.option) || a.index - b.index)
+    .map(({ option }) => option);
+}
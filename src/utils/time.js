@@ -0,0 +1,20 @@
+/**
+ * Time utilities
+ */
+
+/**
+ * Parse a server expires_at (ISO string, unix seconds or unix ms) to epoch ms.
+ * Returns null when it cannot be parsed.
+ */
+export function parseExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null || expiresAt === '') {
+    return null;
+  }
+  if (typeof expiresAt === 'number' || /^\d+(\.\d+)?$/.test(String(expiresAt))) {
+    const value = Number(expiresAt);
+    // Anything below 1e12 is too small to be ms since 1970 at present dates
+    return value < 1e12 ? Math.round(value * 1000) : value;
+  }
+  const ms = Date.parse(expiresAt);
+  return Number.isNaN(ms) ? null : ms;
+}
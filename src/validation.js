@@ -0,0 +1,113 @@
+/**
+ * Invoice verification before signing
+ */
+
+import { EVM_NETWORKS } from './utils/evm-payment.js';
+import { InvoiceValidationError } from './errors.js';
+
+const DEFAULT_SOL_USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+/**
+ * Checks the payTo, asset, amount and minutes of a payment requirement
+ * against what the caller expects, so a misbehaving server cannot redirect
+ * or inflate a payment.
+ *
+ * Options:
+ * - payToAllowlist: recipients allowed to be paid (off when omitted)
+ * - expectedAssets: { [network]: asset } (defaults to USDC on each network)
+ * - pricePerMinute: expected atomic amount per session minute (off when omitted)
+ * - priceTolerance: allowed overshoot of the expected price, as a fraction
+ * - checkMinutes: require extra.minutes to be present and equal the requested duration
+ */
+export class InvoiceValidator {
+  constructor({ payToAllowlist, expectedAssets, pricePerMinute, priceTolerance = 0, checkMinutes = true, solUsdcMint } = {}) {
+    this.payToAllowlist = payToAllowlist ? payToAllowlist.map(normalizeAddress) : null;
+    this.expectedAssets = {
+      solana: solUsdcMint || DEFAULT_SOL_USDC_MINT,
+      ...Object.fromEntries(Object.entries(EVM_NETWORKS).map(([network, chain]) => [network, chain.usdc])),
+      ...expectedAssets
+    };
+    this.pricePerMinute = pricePerMinute === undefined || pricePerMinute === null ? null : BigInt(pricePerMinute);
+    this.priceTolerance = priceTolerance;
+    this.checkMinutes = checkMinutes;
+  }
+
+  /**
+   * Return the list of problems with a requirement (empty when valid)
+   * @param {Object} requirement - Selected accepts[] entry
+   * @param {Object} expected - { minutes, network } the caller asked for
+   */
+  check(requirement, { minutes, network } = {}) {
+    const reasons = [];
+    const reqNetwork = requirement.network || network;
+
+    if (this.payToAllowlist && !this.payToAllowlist.includes(normalizeAddress(requirement.payTo))) {
+      reasons.push(`payTo ${requirement.payTo} is not in the allowlist`);
+    }
+
+    const expectedAsset = this.expectedAssets[reqNetwork];
+    if (expectedAsset && requirement.asset && normalizeAddress(requirement.asset) !== normalizeAddress(expectedAsset)) {
+      reasons.push(`asset ${requirement.asset} is not the expected ${expectedAsset} on ${reqNetwork}`);
+    }
+
+    let amount = null;
+    try {
+      amount = BigInt(requirement.maxAmountRequired);
+      if (amount <= 0n) {
+        reasons.push(`amount ${requirement.maxAmountRequired} is not positive`);
+      }
+    } catch {
+      reasons.push(`amount ${requirement.maxAmountRequired} is not an integer`);
+    }
+
+    if (amount !== null && this.pricePerMinute !== null && minutes) {
+      const expected = this.pricePerMinute * BigInt(minutes);
+      // Tolerance in basis points keeps the comparison in integer math
+      const ceiling = expected + (expected * BigInt(Math.round(this.priceTolerance * 10_000))) / 10_000n;
+      if (amount > ceiling) {
+        reasons.push(`amount ${amount} exceeds expected ${expected} for ${minutes} min`);
+      }
+    }
+
+    const invoiceMinutes = requirement.extra?.minutes;
+    if (this.checkMinutes && minutes) {
+      if (invoiceMinutes === undefined || invoiceMinutes === null || !Number.isFinite(Number(invoiceMinutes))) {
+        reasons.push(`invoice does not state a valid duration (extra.minutes ${invoiceMinutes}), requested ${minutes} min`);
+      } else if (Number(invoiceMinutes) !== Number(minutes)) {
+        reasons.push(`invoice is for ${invoiceMinutes} min, requested ${minutes} min`);
+      }
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Throw InvoiceValidationError if the requirement fails any check
+   */
+  validate(requirement, expected = {}) {
+    const reasons = this.check(requirement, expected);
+    if (reasons.length > 0) {
+      throw new InvoiceValidationError(requirement, reasons);
+    }
+    return requirement;
+  }
+}
+
+/**
+ * Accept an InvoiceValidator, an options object, or false to disable
+ */
+export function resolveInvoiceValidator(validation, defaults = {}) {
+  if (validation === false) {
+    return null;
+  }
+  if (validation instanceof InvoiceValidator) {
+    return validation;
+  }
+  return new InvoiceValidator({ ...defaults, ...validation });
+}
+
+// EVM addresses are case-insensitive; Solana base58 is not
+function normalizeAddress(address) {
+  const value = String(address || '');
+  return value.startsWith('0x') ? value.toLowerCase() : value;
+}
@@ -0,0 +1,196 @@
+/**
+ * Wallet balance checks before paying, and low-balance warnings
+ */
+
+import { EVM_NETWORKS } from './utils/evm-payment.js';
+import { InsufficientFundsError } from './errors.js';
+
+/**
+ * Looks up the paying wallet's balance through the payment schemes
+ *
+ * Before each payment `check()` makes sure the wallet can cover the invoice,
+ * so an empty wallet (or a Solana wallet without a USDC token account)
+ * fails fast with InsufficientFundsError instead of a server rejection.
+ * Prices paid are remembered per endpoint to estimate how many more payments
+ * the balance covers, and `onLowBalance` fires once whenever the balance
+ * drops below `lowBalance` (again after it recovers):
+ * - amount: atomic units of the payment asset
+ * - payments: fewer payments left at the last price paid
+ */
+export class WalletMonitor {
+  /**
+   * @param {Object} options
+   * @param {PaymentSchemeRegistry} options.schemes
+   * @param {Function} options.getContext - Returns the scheme context
+   * @param {Function} options.getPayer - (network) => payer address
+   * @param {string} options.solUsdcMint - Default asset on Solana
+   * @param {Object} options.lowBalance - { amount, payments }
+   * @param {Function} options.onLowBalance - Called with the balance report
+   * @param {number} options.checkTimeout - ms to wait for the pre-flight lookup (default: 5000)
+   */
+  constructor({ schemes, getContext, getPayer, solUsdcMint, lowBalance = null, onLowBalance, checkTimeout = 5000, logger }) {
+    this.schemes = schemes;
+    this.getContext = getContext;
+    this.getPayer = getPayer || (() => null);
+    this.solUsdcMint = solUsdcMint;
+    this.lowBalance = lowBalance && {
+      amount: lowBalance.amount === undefined || lowBalance.amount === null ? null : BigInt(lowBalance.amount),
+      payments: lowBalance.payments ?? null
+    };
+    this.onLowBalance = onLowBalance;
+    this.checkTimeout = checkTimeout;
+    this.logger = logger;
+
+    this.prices = new Map(); // Endpoint -> last price paid (atomic)
+    this.balances = new Map(); // network:asset -> last known balance
+    this.warned = new Set(); // network:asset keys currently below the threshold
+    this.lastPrice = null;
+  }
+
+  /**
+   * Balance of the payment asset (USDC by default) on a network
+   * @returns {Promise<{ network, asset, payer, amount }>} amount is null without a wallet for the network
+   */
+  async getBalance({ network = 'solana', asset, scheme = 'exact' } = {}) {
+    const resolvedAsset = asset || this.defaultAsset(network);
+    const impl = this.schemes.get(scheme, network);
+    if (typeof impl?.getBalance !== 'function') {
+      throw new Error(`Payment scheme ${scheme}/${network} does not support balance lookups`);
+    }
+    const amount = await impl.getBalance({ scheme, network, asset: resolvedAsset }, this.getContext());
+    const balance = { network, asset: resolvedAsset, payer: this.getPayer(network), amount };
+    this.update(balance);
+    return balance;
+  }
+
+  /**
+   * Whether the wallet holds enough to pay an invoice (a selected requirement)
+   */
+  async canAfford(invoice) {
+    const { amount } = await this.getBalance(this.describe(invoice));
+    return amount !== null && amount >= BigInt(invoice.maxAmountRequired);
+  }
+
+  /**
+   * Throw InsufficientFundsError if the wallet cannot pay `invoice`. Schemes
+   * without balance lookups, a missing wallet and failed or slow lookups
+   * (over `checkTimeout`) are let through: the payment itself reports those.
+   */
+  async check(invoice, { endpoint } = {}) {
+    let balance;
+    try {
+      balance = await withTimeout(this.getBalance(this.describe(invoice)), this.checkTimeout);
+    } catch (error) {
+      this.logger.warn('Balance check failed, paying anyway', { endpoint, network: invoice.network, err: error });
+      return;
+    }
+    const required = BigInt(invoice.maxAmountRequired);
+    if (balance.amount === null || balance.amount >= required) {
+      return;
+    }
+    throw new InsufficientFundsError({
+      endpoint,
+      required,
+      available: balance.amount,
+      asset: balance.asset,
+      network: balance.network,
+      payer: balance.payer
+    });
+  }
+
+  /**
+   * Note a successful payment: remember its price and deduct it from the
+   * last known balance
+   */
+  recordPayment(invoice, { endpoint } = {}) {
+    const price = BigInt(invoice.maxAmountRequired);
+    this.prices.set(endpoint, price);
+    this.lastPrice = price;
+
+    const { network, asset } = this.describe(invoice);
+    const known = this.balances.get(`${network}:${asset}`);
+    if (known && known.amount !== null) {
+      const amount = known.amount > price ? known.amount - price : 0n;
+      this.update({ ...known, amount }, price);
+    }
+  }
+
+  /**
+   * Last price paid for an endpoint (atomic), or null
+   */
+  getPrice(endpoint) {
+    return this.prices.get(endpoint) ?? null;
+  }
+
+  /**
+   * How many payments of `price` the balance covers, or null if unknown
+   */
+  estimateRemaining(balance, price) {
+    if (balance?.amount === null || balance?.amount === undefined || !price) {
+      return null;
+    }
+    return Number(balance.amount / BigInt(price));
+  }
+
+  /**
+   * @private
+   */
+  describe(invoice) {
+    const network = invoice.network || 'solana';
+    return {
+      scheme: invoice.scheme || 'exact',
+      network,
+      asset: invoice.asset || this.defaultAsset(network)
+    };
+  }
+
+  /**
+   * @private
+   */
+  defaultAsset(network) {
+    return EVM_NETWORKS[network]?.usdc || this.solUsdcMint;
+  }
+
+  /**
+   * @private
+   */
+  update(balance, price = this.lastPrice) {
+    const key = `${balance.network}:${balance.asset}`;
+    this.balances.set(key, balance);
+    if (!this.lowBalance || balance.amount === null) {
+      return;
+    }
+
+    const paymentsRemaining = this.estimateRemaining(balance, price);
+    const { amount, payments } = this.lowBalance;
+    const low = (amount !== null && balance.amount < amount) ||
+      (payments !== null && paymentsRemaining !== null && paymentsRemaining < payments);
+    if (!low) {
+      this.warned.delete(key);
+      return;
+    }
+    if (this.warned.has(key)) {
+      return;
+    }
+    this.warned.add(key);
+    this.logger.warn('Wallet balance low', {
+      network: balance.network,
+      asset: balance.asset,
+      amount: balance.amount.toString(),
+      paymentsRemaining: paymentsRemaining ?? undefined
+    });
+    this.onLowBalance?.({ ...balance, paymentsRemaining, threshold: this.lowBalance });
+  }
+}
+
+function withTimeout(promise, ms) {
+  if (!ms) {
+    return promise;
+  }
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`balance lookup timed out after ${ms}ms`)), ms);
+    timer.unref?.();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
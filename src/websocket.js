@@ -2,108 +2,419 @@
  * WebSocket connection manager
  */
 
+import { createHash } from 'crypto';
 import WebSocket from 'ws';
+import { TypedEmitter } from './events.js';
+import { isSystemPayload } from './messages.js';
 
-export class WebSocketManager {
-  constructor({ baseUrl, accessToken, onMessage, onError, onClose }) {
+// Close codes/reasons the server uses when the access token is no longer valid
+const SESSION_CLOSE_CODES = [1008, 4001, 4003, 4401];
+const SESSION_CLOSE_REASON = /expired|renew|invalid token|unauthori[sz]ed/i;
+
+const WEBSOCKET_EVENTS = [
+  'connected', 'message', 'rawMessage', 'close', 'sessionExpired', 'tokenSwapped',
+  'reconnecting', 'reconnected', 'reconnectFailed'
+];
+
+/**
+ * Owner callbacks (onMessage, onClose, ...) drive the client; the same
+ * events are also emitted for anyone else listening
+ */
+export class WebSocketManager extends TypedEmitter {
+  constructor({
+    baseUrl,
+    accessToken,
+    reconnect = {},
+    swapTimeout = 10_000,
+    onMessage,
+    onError,
+    onClose,
+    onSessionExpired,
+    onReconnecting,
+    onReconnected,
+    onReconnectFailed,
+    logger
+  }) {
+    super(WEBSOCKET_EVENTS, { logger });
     this.baseUrl = baseUrl || 'https://bridge402.tech';
     this.accessToken = accessToken;
     this.onMessage = onMessage;
     this.onError = onError;
     this.onClose = onClose;
+    this.onSessionExpired = onSessionExpired;
+    this.onReconnecting = onReconnecting;
+    this.onReconnected = onReconnected;
+    this.onReconnectFailed = onReconnectFailed;
     this.ws = null;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
+
+    // reconnect: false disables automatic reconnection
+    this.reconnectEnabled = reconnect !== false;
+    this.maxReconnectAttempts = reconnect?.maxAttempts ?? 5;
+    this.reconnectBaseDelay = reconnect?.baseDelay ?? 1000;
+    this.reconnectMaxDelay = reconnect?.maxDelay ?? 30_000;
+    this.reconnectJitter = reconnect?.jitter ?? 0.3;
+    this.reconnectTimer = null;
+    this.shouldReconnect = false;
+    this.sessionExpired = false;
+
+    // Make-before-break token swap state
+    this.swapTimeout = swapTimeout;
+    this.swap = null;
+    this.draining = new Set();
+    this.overlapSeen = new Set(); // News frames delivered while two sockets are open
+
+    this.readPauses = 0; // Backpressure from slow stream consumers
   }
 
   /**
    * Connect to WebSocket stream
    */
   connect() {
-    const wsUrl = this.baseUrl.replace(/^http/, 'ws') + `/stream?token=${encodeURIComponent(this.accessToken)}`;
-    
-    this.ws = new WebSocket(wsUrl);
+    this.cancelSwap();
+    this.draining.forEach(ws => ws.close());
+    this.draining.clear();
+    this.overlapSeen.clear();
+    const ws = this.openSocket(this.accessToken);
+    this.ws = ws;
+    this.shouldReconnect = true;
+    this.sessionExpired = false;
+    return ws;
+  }
+
+  /**
+   * Open a socket and route its events. Only the current socket, a pending
+   * swap candidate and an old socket still draining after a swap are heard;
+   * events from any other socket are ignored.
+   * @private
+   */
+  openSocket(token) {
+    const wsUrl = this.baseUrl.replace(/^http/, 'ws') + `/stream?token=${encodeURIComponent(token)}`;
+    const ws = new WebSocket(wsUrl);
+
+    const isCandidate = () => this.swap?.ws === ws;
 
-    this.ws.on('open', () => {
-      console.log('✅ WebSocket connected');
+    ws.on('open', () => {
+      if (this.ws !== ws) return;
+      this.logger.info('WebSocket connected', { attempt: this.reconnectAttempts || undefined });
+      const wasReconnect = this.reconnectAttempts > 0;
+      const attempts = this.reconnectAttempts;
       this.reconnectAttempts = 0;
       this.emit('connected');
+      if (wasReconnect) {
+        this.onReconnected?.(attempts);
+        this.emit('reconnected', attempts);
+      }
     });
 
-    this.ws.on('message', (data) => {
-      const text = data.toString();
-      try {
-        const msg = JSON.parse(text);
-        if (this.onMessage) {
-          this.onMessage(msg);
-        }
-        this.emit('message', msg);
-      } catch (e) {
-        // Handle non-JSON messages
-        if (text.includes('Session expired') || text.includes('Renew')) {
-          this.emit('sessionExpired');
-        } else {
-          this.emit('rawMessage', text);
-        }
-      }
+    ws.on('message', (data) => {
+      if (this.ws !== ws && !isCandidate() && !this.draining.has(ws)) return;
+      this.handleFrame(data.toString(), ws);
     });
 
-    this.ws.on('error', (err) => {
-      console.error('⚠️  WebSocket error:', err.message || err);
+    ws.on('error', (err) => {
+      if (this.ws !== ws && !isCandidate()) return;
+      this.logger.warn('WebSocket error', { err });
+      if (isCandidate()) return; // Surfaced through the swap failing
       if (this.onError) {
         this.onError(err);
       }
       this.emit('error', err);
     });
 
-    this.ws.on('close', (code, reason) => {
-      console.log(`WebSocket closed (code: ${code})`);
-      if (this.onClose) {
-        this.onClose(code, reason);
+    ws.on('close', (code, reason) => {
+      this.draining.delete(ws);
+      if (isCandidate()) {
+        return this.failSwap(`new connection closed with code ${code}`);
       }
+      if (this.ws !== ws) return;
+      this.ws = null;
+      const reasonText = reason?.toString() || '';
+      this.logger.info('WebSocket closed', { code, reason: reasonText || undefined });
       this.emit('close', code, reason);
+      if (this.swap) {
+        return; // The pending swap candidate takes over
+      }
+      this.handleUnexpectedClose(code, reasonText);
     });
 
-    return this.ws;
+    return ws;
   }
 
   /**
-   * Update access token (for session renewal)
+   * Parse and deliver one frame
+   * @private
+   */
+  handleFrame(text, ws) {
+    let msg;
+    try {
+      msg = JSON.parse(text);
+    } catch (e) {
+      // Handle non-JSON messages
+      if (ws !== this.ws) return;
+      if (text.includes('Session expired') || text.includes('Renew')) {
+        this.sessionExpired = true;
+        this.emit('sessionExpired');
+      } else {
+        this.emit('rawMessage', text);
+      }
+      return;
+    }
+
+    if (this.swap?.ws === ws && msg.status === 'connected') {
+      this.completeSwap();
+      return;
+    }
+
+    if (!isSystemPayload(msg) && this.isDuplicateDuringOverlap(text)) {
+      return;
+    }
+    if (this.onMessage) {
+      this.onMessage(msg);
+    }
+    this.emit('message', msg);
+  }
+
+  /**
+   * While two sockets are open (a swap candidate next to the current socket,
+   * or the old socket draining after a swap) the same news frame can arrive
+   * on both; remember what was delivered and drop the repeat
+   * @private
+   */
+  isDuplicateDuringOverlap(text) {
+    if (!this.swap && this.draining.size === 0) {
+      this.overlapSeen.clear();
+      return false;
+    }
+    const key = createHash('sha1').update(text).digest('hex');
+    if (this.overlapSeen.has(key)) {
+      return true;
+    }
+    this.overlapSeen.add(key);
+    return false;
+  }
+
+  /**
+   * Decide what to do after a close we did not initiate
+   * @private
+   */
+  handleUnexpectedClose(code, reason) {
+    if (!this.shouldReconnect) {
+      return this.finalClose(code, reason);
+    }
+
+    const expired = this.sessionExpired || SESSION_CLOSE_CODES.includes(code) || SESSION_CLOSE_REASON.test(reason);
+    if (expired && this.onSessionExpired) {
+      // The owner renews the session and calls resume() with the new token
+      this.shouldReconnect = false;
+      this.onSessionExpired(code, reason);
+      return;
+    }
+
+    if (!this.reconnectEnabled) {
+      return this.finalClose(code, reason);
+    }
+    this.scheduleReconnect(code, reason);
+  }
+
+  /**
+   * Reconnect after an exponential backoff with jitter
+   * @private
+   */
+  scheduleReconnect(code, reason) {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      this.logger.error('Giving up reconnecting', { attempts: this.reconnectAttempts });
+      const attempts = this.reconnectAttempts;
+      this.reconnectAttempts = 0;
+      this.shouldReconnect = false;
+      this.onReconnectFailed?.(attempts);
+      this.emit('reconnectFailed', attempts);
+      return this.finalClose(code, reason);
+    }
+
+    this.reconnectAttempts++;
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.logger.info('Reconnecting', {
+      attempt: this.reconnectAttempts,
+      maxAttempts: this.maxReconnectAttempts,
+      delayMs: Math.round(delay)
+    });
+    this.onReconnecting?.(this.reconnectAttempts, delay);
+    this.emit('reconnecting', this.reconnectAttempts, delay);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.shouldReconnect) {
+        this.connect();
+      }
+    }, delay);
+  }
+
+  /**
+   * Backoff delay for a given attempt (1-based)
+   */
+  getReconnectDelay(attempt) {
+    const exponential = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** (attempt - 1));
+    const jitter = 1 + (Math.random() * 2 - 1) * this.reconnectJitter;
+    return Math.max(0, exponential * jitter);
+  }
+
+  /**
+   * Reconnect right away with a (renewed) token, e.g. after session expiry
+   */
+  resume(newToken) {
+    if (newToken) {
+      this.accessToken = newToken;
+    }
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.cancelSwap();
+    if (this.ws) {
+      // Still open after an expiry notice; its close is no longer ours to handle
+      const old = this.ws;
+      this.ws = null;
+      old.close();
+    }
+    // Counts as a reconnect so onReconnected fires once the socket opens
+    this.reconnectAttempts = Math.max(this.reconnectAttempts, 1);
+    this.connect();
+  }
+
+  /**
+   * @private
+   */
+  finalClose(code, reason) {
+    if (this.onClose) {
+      this.onClose(code, reason);
+    }
+  }
+
+  /**
+   * Update access token (for session renewal).
+   *
+   * While connected this is make-before-break: a second connection is opened
+   * with the new token and only once it reports `status: 'connected'` does it
+   * replace the old one, so renewal never leaves a gap in the stream.
    */
   updateToken(newToken) {
     this.accessToken = newToken;
-    // If connected, need to reconnect with new token
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.disconnect();
-      this.connect();
+    if (!this.isConnected()) {
+      return; // The next (re)connect uses the new token
+    }
+
+    this.cancelSwap();
+    const candidate = this.openSocket(newToken);
+    const timer = setTimeout(() => this.failSwap('timed out waiting for new connection'), this.swapTimeout);
+    this.swap = { ws: candidate, timer };
+    this.overlapSeen.clear();
+  }
+
+  /**
+   * Promote the swap candidate and retire the old socket
+   * @private
+   */
+  completeSwap() {
+    const { ws: candidate, timer } = this.swap;
+    clearTimeout(timer);
+    this.swap = null;
+
+    const old = this.ws;
+    this.ws = candidate;
+    this.sessionExpired = false;
+
+    if (old) {
+      // Frames already in flight on the old socket are still delivered (deduplicated)
+      this.draining.add(old);
+      old.close();
     }
+    this.logger.info('Switched stream to renewed token');
+    this.emit('tokenSwapped');
+  }
+
+  /**
+   * Give up on a swap and fall back to a plain reconnect with the new token
+   * @private
+   */
+  failSwap(reason) {
+    if (!this.swap) {
+      return;
+    }
+    const { ws: candidate, timer } = this.swap;
+    clearTimeout(timer);
+    this.swap = null;
+    candidate.terminate();
+
+    this.logger.warn('Token swap failed, reconnecting with new token', { reason });
+    if (!this.shouldReconnect) {
+      return;
+    }
+    if (this.ws) {
+      const old = this.ws;
+      this.ws = null;
+      old.close();
+    }
+    this.connect();
+  }
+
+  /**
+   * Abandon a pending swap without side effects
+   * @private
+   */
+  cancelSwap() {
+    if (!this.swap) {
+      return;
+    }
+    const { ws: candidate, timer } = this.swap;
+    clearTimeout(timer);
+    this.swap = null;
+    candidate.terminate();
   }
 
   /**
    * Disconnect WebSocket
+   * @param {Object} options
+   * @param {boolean} options.notify - Report the close to onClose (default: true)
    */
-  disconnect() {
+  disconnect({ notify = true } = {}) {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.cancelSwap();
+    this.draining.forEach(ws => ws.close());
+    this.draining.clear();
     if (this.ws) {
-      this.ws.close();
+      const ws = this.ws;
       this.ws = null;
+      ws.close();
+      if (notify) {
+        this.finalClose(1000, 'Client disconnect');
+      }
     }
   }
 
   /**
-   * Emit event (simple event emitter pattern)
+   * Stop reading frames from the current socket (they wait in the socket).
+   * Calls nest: reading resumes after as many resumeReading() calls.
+   */
+  pauseReading() {
+    this.readPauses++;
+    this.ws?.pause();
+  }
+
+  /**
+   * Undo one pauseReading()
    */
-  emit(event, ...args) {
-    // Events are handled via callbacks for simplicity
-    // Could be extended to use EventEmitter if needed
+  resumeReading() {
+    this.readPauses = Math.max(0, this.readPauses - 1);
+    if (this.readPauses === 0) {
+      this.ws?.resume();
+    }
   }
 
   /**
    * Check if connected
    */
   isConnected() {
-    return this.ws && this.ws.readyState === WebSocket.OPEN;
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
   }
 }
-
-
-